@@ -0,0 +1,89 @@
+/**
+ * Clock Module
+ * Fixed-timestep simulation clock. Physics advances in equal model-time steps
+ * regardless of the frame rate; rendering happens once per animation frame.
+ */
+
+export class SimulationClock {
+    constructor({ dt = 0.2, stepsPerSecond = 30, onStep, onFrame }) {
+        this.dt = dt; // Model years per step
+        this.stepInterval = 1000 / stepsPerSecond; // ms of real time per step at 1x
+        this.onStep = onStep;
+        this.onFrame = onFrame;
+
+        this.speed = 1;
+        this.running = true;
+        this.accumulator = 0;
+        this.lastTime = null;
+        this.frameId = null;
+
+        // Cap work per frame so a slow device (or a long pause) cannot spiral
+        this.maxStepsPerFrame = 250;
+        this.maxFrameTime = 250; // ms
+
+        // Throttle: stop the loop entirely while the tab is hidden
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.stop();
+            else this.start();
+        });
+    }
+
+    start() {
+        if (this.frameId !== null) return;
+        this.lastTime = null;
+        this.frameId = requestAnimationFrame(this.tick.bind(this));
+    }
+
+    stop() {
+        if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    tick(now) {
+        this.frameId = requestAnimationFrame(this.tick.bind(this));
+
+        const elapsed = this.lastTime === null ? 0 : Math.min(now - this.lastTime, this.maxFrameTime);
+        this.lastTime = now;
+
+        if (this.running) {
+            this.accumulator += elapsed * this.speed;
+
+            let steps = 0;
+            while (this.accumulator >= this.stepInterval && steps < this.maxStepsPerFrame) {
+                this.onStep(this.dt);
+                this.accumulator -= this.stepInterval;
+                steps++;
+            }
+            // Fell behind: drop the backlog rather than trying to catch up
+            if (steps === this.maxStepsPerFrame) this.accumulator = 0;
+        }
+
+        this.onFrame();
+    }
+
+    play() {
+        this.running = true;
+    }
+
+    pause() {
+        this.running = false;
+        this.accumulator = 0;
+    }
+
+    toggle() {
+        if (this.running) this.pause();
+        else this.play();
+    }
+
+    /**
+     * Advances exactly one step (used while paused).
+     */
+    stepOnce() {
+        this.pause();
+        this.onStep(this.dt);
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(0, Number(speed));
+    }
+}
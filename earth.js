@@ -1,5 +1,72 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { drawProceduralEarth } from './textures.js';
+
+// Committed with the app (sources in textures/SOURCES.md); drawn procedurally if missing
+const TEXTURE_PATH = 'textures/';
+
+// Surface overlay: temperature anomaly heatmap or sea-level flooding.
+// Latitude comes from the sphere's v coordinate; land/ocean from the specular map (ocean is bright).
+const OVERLAY_VERTEX_SHADER = `
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const OVERLAY_FRAGMENT_SHADER = `
+    uniform int mode; // 1 = temperature anomaly, 2 = sea level
+    uniform sampler2D landMask;
+    uniform sampler2D elevation;
+    uniform float elevationScale;
+    uniform float anomaly;
+    uniform float amplification;
+    uniform float landFactor;
+    uniform float oceanFactor;
+    uniform float range;
+    uniform float seaLevel;
+    uniform float riskMargin;
+    uniform float opacity;
+
+    varying vec2 vUv;
+
+    const float PI = 3.141592653589793;
+
+    // Blue - white - orange - red, for x from -1 to 1
+    vec3 ramp(float x) {
+        vec3 cold = vec3(0.16, 0.35, 0.85);
+        vec3 neutral = vec3(0.96, 0.96, 0.96);
+        vec3 warm = vec3(0.98, 0.6, 0.2);
+        vec3 hot = vec3(0.75, 0.08, 0.1);
+        if (x < 0.0) return mix(neutral, cold, -x);
+        if (x < 0.5) return mix(neutral, warm, x * 2.0);
+        return mix(warm, hot, x * 2.0 - 1.0);
+    }
+
+    void main() {
+        bool land = texture2D(landMask, vUv).r < 0.5;
+
+        if (mode == 1) {
+            // Warming grows towards the poles and is stronger over land;
+            // both factors average to 1 over the sphere, so the mean stays the global anomaly
+            float s = sin((vUv.y - 0.5) * PI);
+            float polar = 1.0 + amplification * (s * s - 1.0 / 3.0);
+            float local = anomaly * polar * (land ? landFactor : oceanFactor);
+            gl_FragColor = vec4(ramp(clamp(local / range, -1.0, 1.0)), opacity);
+            return;
+        }
+
+        float height = texture2D(elevation, vUv).r * elevationScale;
+        if (!land || height >= seaLevel + riskMargin) discard;
+        gl_FragColor = height < seaLevel
+            ? vec4(0.1, 0.55, 1.0, 0.9) // Flooded
+            : vec4(1.0, 0.75, 0.2, 0.6); // Next in line
+    }
+`;
+
+const OVERLAY_MODES = { anomaly: 1, sealevel: 2 };
 
 export class EarthScene {
     constructor(containerId) {
@@ -39,19 +106,33 @@ export class EarthScene {
         this.earthGroup = new THREE.Group();
         this.scene.add(this.earthGroup);
 
-        // Load Textures
+        // Load Textures, each swapped for its procedural counterpart if it fails
         const loader = new THREE.TextureLoader();
-        const texturePath = 'https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/planets/';
+        this.procedural = null; // Drawn on the first failure, see proceduralTextures()
+        const load = (file, fallback) => loader.load(TEXTURE_PATH + file, undefined, undefined, (err) => {
+            console.warn(`Texture ${file} unavailable, drawing the Earth instead`, err);
+            fallback(this.proceduralTextures());
+        });
+        const specularMap = load('earth_water_1600.png', (textures) => {
+            this.earthMaterial.specularMap = textures.specular;
+            this.earthMaterial.needsUpdate = true;
+            this.overlayMat.uniforms.landMask.value = textures.specular;
+        });
 
         // 1. Base Earth Sphere
         const earthGeometry = new THREE.SphereGeometry(1, 64, 64);
         this.earthMaterial = new THREE.MeshPhongMaterial({
-            map: loader.load(texturePath + 'earth_atmos_2048.jpg', undefined, undefined, (err) => {
-                console.warn('Texture load fail, fallback color', err);
-                this.earthMaterial.color.setHex(0x2233ff);
+            map: load('earth_color_2048.jpg', (textures) => {
+                this.earthMaterial.map = textures.color;
+                this.earthMaterial.needsUpdate = true;
             }),
-            specularMap: loader.load(texturePath + 'earth_specular_2048.jpg'),
-            normalMap: loader.load(texturePath + 'earth_normal_2048.jpg'),
+            specularMap,
+            bumpMap: load('earth_topology_2048.png', () => {
+                // No relief in the procedural Earth
+                this.earthMaterial.bumpMap = null;
+                this.earthMaterial.needsUpdate = true;
+            }),
+            bumpScale: 0.02,
             specular: new THREE.Color(0x333333),
             shininess: 15
         });
@@ -62,7 +143,10 @@ export class EarthScene {
         // 2. Cloud Layer
         const cloudGeo = new THREE.SphereGeometry(1.02, 64, 64);
         this.cloudMat = new THREE.MeshPhongMaterial({
-            map: loader.load(texturePath + 'earth_clouds_1024.png'),
+            map: load('earth_clouds_1024.png', (textures) => {
+                this.cloudMat.map = textures.clouds;
+                this.cloudMat.needsUpdate = true;
+            }),
             transparent: true,
             opacity: 0.8,
             blending: THREE.AdditiveBlending,
@@ -103,6 +187,44 @@ export class EarthScene {
 
         this.currentIceAngle = 0.4;
 
+        // 5. Data Overlay (temperature anomaly or sea level, hidden by default)
+        this.elevationScale = 25.5; // m per unit of the elevation texture; 1 means high ground
+        this.overlayMat = new THREE.ShaderMaterial({
+            vertexShader: OVERLAY_VERTEX_SHADER,
+            fragmentShader: OVERLAY_FRAGMENT_SHADER,
+            uniforms: {
+                mode: { value: OVERLAY_MODES.anomaly },
+                landMask: { value: specularMap },
+                elevation: { value: this.createElevationTexture([]) },
+                elevationScale: { value: this.elevationScale },
+                anomaly: { value: 0 },
+                amplification: { value: 1.2 }, // Poles warm 3x as much as the equator
+                landFactor: { value: 1.4 }, // Land warms faster than ocean (29% land)
+                oceanFactor: { value: 0.84 },
+                range: { value: 5 }, // C at the ends of the colour scale
+                seaLevel: { value: 0 },
+                riskMargin: { value: 1 }, // m, land this close above the sea is marked as next in line
+                opacity: { value: 0.75 }
+            },
+            transparent: true,
+            depthWrite: false
+        });
+        this.overlay = new THREE.Mesh(new THREE.SphereGeometry(1.003, 128, 64), this.overlayMat);
+        this.overlay.visible = false;
+        this.earthGroup.add(this.overlay);
+
+        // Bundled low-lying areas for the sea-level mode; without them nothing floods
+        this.elevationReady = fetch('data/lowlands.json')
+            .then(response => {
+                if (!response.ok) throw new Error(`Could not load lowlands.json (${response.status})`);
+                return response.json();
+            })
+            .then(dataset => {
+                this.overlayMat.uniforms.elevation.value.dispose();
+                this.overlayMat.uniforms.elevation.value = this.createElevationTexture(dataset.rows);
+            })
+            .catch(err => console.warn('Elevation mask unavailable, sea-level mode shows no flooding', err));
+
         // Handle Resize
         window.addEventListener('resize', this.onWindowResize.bind(this));
     }
@@ -153,13 +275,81 @@ export class EarthScene {
         this.scene.add(backLight);
     }
 
+    /**
+     * Procedural stand-ins for the bundled textures, drawn once on first use.
+     */
+    proceduralTextures() {
+        if (!this.procedural) {
+            const canvases = drawProceduralEarth();
+            this.procedural = {
+                color: new THREE.CanvasTexture(canvases.color),
+                specular: new THREE.CanvasTexture(canvases.specular),
+                clouds: new THREE.CanvasTexture(canvases.clouds)
+            };
+        }
+        return this.procedural;
+    }
+
+    /**
+     * Rasterizes the low-lying areas ([name, lat, lon, radius, lowest, edge] rows,
+     * see data/lowlands.json) into an equirectangular elevation texture.
+     * Ground rises linearly from the lowest point at the centre to the edge;
+     * everything outside the areas counts as high ground.
+     */
+    createElevationTexture(areas, width = 720, height = 360) {
+        const data = new Uint8Array(width * height).fill(255);
+
+        for (let row = 0; row < height; row++) {
+            // Row 0 is the south pole, as in the sphere's uv layout
+            const lat = -90 + (row + 0.5) * 180 / height;
+            const lonScale = Math.cos(lat * Math.PI / 180);
+
+            for (let col = 0; col < width; col++) {
+                const lon = -180 + (col + 0.5) * 360 / width;
+                let elevation = Infinity;
+
+                areas.forEach(([, areaLat, areaLon, radius, lowest, edge]) => {
+                    if (Math.abs(lat - areaLat) >= radius) return;
+                    let dLon = Math.abs(lon - areaLon);
+                    if (dLon > 180) dLon = 360 - dLon;
+                    const distance = Math.hypot(lat - areaLat, dLon * lonScale);
+                    if (distance < radius) elevation = Math.min(elevation, lowest + (edge - lowest) * distance / radius);
+                });
+
+                if (elevation < Infinity) {
+                    data[row * width + col] = Math.round(Math.min(1, elevation / this.elevationScale) * 255);
+                }
+            }
+        }
+
+        const texture = new THREE.DataTexture(data, width, height, THREE.RedFormat, THREE.UnsignedByteType);
+        texture.magFilter = THREE.LinearFilter;
+        texture.minFilter = THREE.LinearFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    /**
+     * Shows a data layer over the surface: 'anomaly', 'sealevel' or 'none'.
+     */
+    setOverlay(mode) {
+        this.overlay.visible = mode in OVERLAY_MODES;
+        if (this.overlay.visible) this.overlayMat.uniforms.mode.value = OVERLAY_MODES[mode];
+    }
+
     updateState(simulationState) {
-        const { temp, co2, forest } = simulationState;
+        const { temp, co2, forest, iceFraction, iceLatitude, anomaly = 0, seaLevel = 0 } = simulationState;
 
         // 1. Ice Coverage Logic
         // Map 15C -> 0.4 radians. 25C -> 0. -20C -> 1.57.
         let iceAngle = 0.4;
-        if (temp > 25) iceAngle = 0;
+        if (iceLatitude !== undefined) {
+            // Latitude-resolved model: caps reach down to the computed ice line
+            iceAngle = (90 - iceLatitude) * Math.PI / 180;
+        } else if (iceFraction !== undefined) {
+            // Two polar caps of angle a cover (1 - cos a) of the sphere's area
+            iceAngle = Math.acos(1 - Math.min(1, Math.max(0, iceFraction)));
+        } else if (temp > 25) iceAngle = 0;
         else if (temp < -20) iceAngle = Math.PI / 2;
         else {
             iceAngle = ((25 - temp) / 45) * (Math.PI / 2);
@@ -191,17 +381,29 @@ export class EarthScene {
         // 3. Atmosphere opacity based on CO2
         // 280ppm -> 0.2
         // 600ppm -> 0.5
-        const co2Norm = (co2 - 280) / (600 - 280);
+        const co2Norm = Math.max(0, Math.min(1, (co2 - 280) / (600 - 280)));
         this.atmosphereMat.opacity = 0.2 + (co2Norm * 0.3);
         // Shift atmosphere color slightly towards yellow/grey "smog" at high CO2
         const cleanSky = new THREE.Color(0x88ccff);
         const smogSky = new THREE.Color(0xaabbcc);
         this.atmosphereMat.color.copy(cleanSky).lerp(smogSky, co2Norm);
+
+        // 4. Data Overlay
+        // Anomaly in C relative to pre-industrial, sea level in m above the start of the run
+        const uniforms = this.overlayMat.uniforms;
+        uniforms.anomaly.value = anomaly;
+        uniforms.seaLevel.value = Math.max(0, Math.min(this.elevationScale - uniforms.riskMargin.value, seaLevel));
     }
 
+    /**
+     * Standalone render loop. The app drives render() from its simulation clock instead.
+     */
     animate() {
         requestAnimationFrame(this.animate.bind(this));
+        this.render();
+    }
 
+    render() {
         // Rotate Earth
         // this.earthGroup.rotation.y += 0.0005; // Handled by autoRotate
 
@@ -212,6 +414,22 @@ export class EarthScene {
         this.renderer.render(this.scene, this.camera);
     }
 
+    /**
+     * Copy of the globe as drawn now. The WebGL canvas is only readable right after
+     * a frame is drawn (no preserveDrawingBuffer), so this draws one and copies it.
+     * Null while the canvas has no size (e.g. its view is hidden): it cannot be copied.
+     */
+    capture() {
+        const source = this.renderer.domElement;
+        if (source.width === 0 || source.height === 0) return null;
+        this.renderer.render(this.scene, this.camera);
+        const copy = document.createElement('canvas');
+        copy.width = source.width;
+        copy.height = source.height;
+        copy.getContext('2d').drawImage(source, 0, 0);
+        return copy;
+    }
+
     onWindowResize() {
         this.camera.aspect = this.container.clientWidth / this.container.clientHeight;
         this.camera.updateProjectionMatrix();
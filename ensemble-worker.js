@@ -0,0 +1,23 @@
+/**
+ * Ensemble Worker
+ * Runs ensemble.runEnsemble() off the main thread, so the simulation keeps animating.
+ *
+ * In:  { params, options }
+ * Out: { type: 'progress', done, total } while running, then { type: 'result', result }
+ *      or { type: 'error', message }
+ */
+
+import { runEnsemble } from './ensemble.js';
+
+self.addEventListener('message', (e) => {
+    const { params, options } = e.data;
+    try {
+        const result = runEnsemble(params, {
+            ...options,
+            onProgress: (done, total) => self.postMessage({ type: 'progress', done, total })
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+});
@@ -0,0 +1,97 @@
+/**
+ * Ensemble Module
+ * Runs many models whose uncertain constants are sampled from ranges,
+ * and summarizes the spread of their temperatures over time.
+ * Headless like runner.js, so it also runs inside ensemble-worker.js.
+ */
+
+import { runSimulation } from './runner.js';
+
+// Uncertain ClimateModel constants and their default ranges
+export const ENSEMBLE_CONSTANTS = [
+    { key: 'co2ForcingCoefficient', labelKey: 'ensemble_forcing_coefficient', min: 4.8, max: 5.9 },
+    { key: 'baseEmissivity', labelKey: 'ensemble_base_emissivity', min: 0.605, max: 0.615 },
+    { key: 'emissivitySensitivity', labelKey: 'ensemble_emissivity_sensitivity', min: 0.0035, max: 0.0065 },
+    { key: 'mixedLayerHeatCapacity', labelKey: 'ensemble_heat_capacity', min: 5, max: 12 }
+];
+
+/**
+ * Small seeded random number generator (mulberry32), so an ensemble can be repeated.
+ */
+export function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Value at quantile q (0-1) of a sorted array, interpolating between neighbours.
+ */
+export function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const low = Math.floor(position);
+    const high = Math.ceil(position);
+    return sorted[low] + (sorted[high] - sorted[low]) * (position - low);
+}
+
+/**
+ * Runs `members` models with constants drawn uniformly from `ranges`
+ * ({ key: { min, max } }, defaults from ENSEMBLE_CONSTANTS).
+ *
+ * Each member spins up to its own starting temperature (baseEmissivity alone
+ * moves it by about a degree), so the spread is taken over the change since the
+ * start: every member is shifted onto the median starting temperature. The band
+ * then shows how differently the members respond, not where they began.
+ *
+ * Options are passed to runSimulation (years, dt, scenario, spinUp), plus:
+ *   members    - Number of models (default 50)
+ *   ranges     - Sampling ranges per constant
+ *   seed       - Random seed (default 1)
+ *   sampleEvery - Keep every n-th step in the summary (default 5, i.e. yearly at dt 0.2)
+ *   onProgress - Called with (done, total) after each member
+ *
+ * Returns { times, median, lower, upper, start, members, samples }, where lower/upper
+ * are the 5th and 95th percentiles of temperature at each time and start is the
+ * common starting temperature.
+ */
+export function runEnsemble(params, options = {}) {
+    const { members = 50, ranges = {}, seed = 1, sampleEvery = 5, onProgress = null, ...runOptions } = options;
+    const random = seededRandom(seed);
+
+    const samples = [];
+    const runs = [];
+    for (let m = 0; m < members; m++) {
+        const constants = {};
+        ENSEMBLE_CONSTANTS.forEach(({ key, min, max }) => {
+            const range = ranges[key] || { min, max };
+            constants[key] = range.min + (range.max - range.min) * random();
+        });
+
+        const run = runSimulation(params, { ...runOptions, constants });
+        runs.push({ start: run.startTemp, series: run.series.filter((stats, i) => (i + 1) % sampleEvery === 0) });
+        samples.push(constants);
+
+        if (onProgress) onProgress(m + 1, members);
+    }
+
+    const start = quantile(runs.map(run => run.start).sort((a, b) => a - b), 0.5);
+
+    // Every member runs the same number of steps, so the series line up index by index
+    const times = runs[0].series.map(stats => stats.time);
+    const median = [];
+    const lower = [];
+    const upper = [];
+    times.forEach((time, i) => {
+        const temps = runs.map(run => start + run.series[i].temp - run.start).sort((a, b) => a - b);
+        median.push(quantile(temps, 0.5));
+        lower.push(quantile(temps, 0.05));
+        upper.push(quantile(temps, 0.95));
+    });
+
+    return { times, median, lower, upper, start, members, samples };
+}
@@ -0,0 +1,139 @@
+/**
+ * Flow Diagram Module
+ * Kiehl & Trenberth style energy budget drawn as SVG arrows.
+ * Arrow widths follow the live budget values; dashes move along each arrow.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Layout in viewBox units: space at the top, atmosphere layer, surface at the bottom
+const TOP = 12;
+const ATMOSPHERE_TOP = 90;
+const ATMOSPHERE_BOTTOM = 150;
+const SURFACE = 262;
+
+// One arrow per budget term (keys as in ClimateModel.getEnergyBudget())
+const ARROWS = [
+    { key: 'incoming', kind: 'solar', x: 40, from: TOP, to: ATMOSPHERE_TOP },
+    { key: 'reflectedAtmosphere', kind: 'solar', x: 88, from: ATMOSPHERE_TOP, to: TOP },
+    { key: 'absorbedAtmosphere', kind: 'solar', x: 128, from: ATMOSPHERE_TOP - 20, to: ATMOSPHERE_TOP + 25 },
+    { key: 'absorbedSurface', kind: 'solar', x: 40, from: ATMOSPHERE_BOTTOM, to: SURFACE },
+    { key: 'reflectedSurface', kind: 'solar', x: 88, from: SURFACE, to: TOP },
+    { key: 'latent', kind: 'heat', x: 172, from: SURFACE, to: ATMOSPHERE_BOTTOM },
+    { key: 'sensible', kind: 'heat', x: 208, from: SURFACE, to: ATMOSPHERE_BOTTOM },
+    { key: 'surfaceEmission', kind: 'longwave', x: 262, from: SURFACE, to: ATMOSPHERE_BOTTOM },
+    { key: 'window', kind: 'longwave', x: 310, from: SURFACE, to: TOP },
+    { key: 'backRadiation', kind: 'longwave', x: 356, from: ATMOSPHERE_BOTTOM, to: SURFACE },
+    { key: 'atmosphereEmission', kind: 'longwave', x: 420, from: ATMOSPHERE_TOP, to: TOP }
+];
+
+const COLORS = {
+    solar: '#fbbf24',
+    longwave: '#f87171',
+    heat: '#34d399'
+};
+
+export class EnergyFlowDiagram {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.scale = 0.06; // viewBox units of arrow width per W/m2
+        this.minWidth = 1;
+        this.numberFormat = new Intl.NumberFormat('en', { maximumFractionDigits: 0 });
+
+        this.svg = this.createElement('svg', { viewBox: '0 0 460 280', class: 'flow-diagram' });
+        this.createMarkers();
+        this.createLayers();
+
+        this.arrows = ARROWS.map(arrow => this.createArrow(arrow));
+        this.container.appendChild(this.svg);
+    }
+
+    createElement(tag, attributes = {}) {
+        const el = document.createElementNS(SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+        return el;
+    }
+
+    createMarkers() {
+        // Arrowheads end at the path end and scale with the stroke width (markerUnits defaults to strokeWidth)
+        const defs = this.createElement('defs');
+        Object.entries(COLORS).forEach(([kind, color]) => {
+            const marker = this.createElement('marker', {
+                id: `flow-head-${kind}`,
+                viewBox: '0 0 10 10',
+                refX: 10,
+                refY: 5,
+                markerWidth: 1.6,
+                markerHeight: 1.6,
+                orient: 'auto'
+            });
+            marker.appendChild(this.createElement('path', { d: 'M 0 0 L 10 5 L 0 10 z', fill: color }));
+            defs.appendChild(marker);
+        });
+        this.svg.appendChild(defs);
+    }
+
+    createLayers() {
+        this.svg.appendChild(this.createElement('rect', {
+            x: 0, y: ATMOSPHERE_TOP, width: 460, height: ATMOSPHERE_BOTTOM - ATMOSPHERE_TOP,
+            class: 'flow-atmosphere'
+        }));
+        this.svg.appendChild(this.createElement('rect', {
+            x: 0, y: SURFACE, width: 460, height: 280 - SURFACE,
+            class: 'flow-surface'
+        }));
+
+        this.layerLabels = {
+            atmosphere: this.createLabel(455, ATMOSPHERE_TOP + 14, 'end', 'flow-layer-label'),
+            surface: this.createLabel(455, SURFACE + 13, 'end', 'flow-layer-label')
+        };
+    }
+
+    createLabel(x, y, anchor, className) {
+        const label = this.createElement('text', { x, y, 'text-anchor': anchor, class: className });
+        this.svg.appendChild(label);
+        return label;
+    }
+
+    createArrow(arrow) {
+        const d = `M ${arrow.x} ${arrow.from} L ${arrow.x} ${arrow.to}`;
+        const color = COLORS[arrow.kind];
+
+        // Solid body with the arrowhead, plus a dashed overlay that moves along it
+        const body = this.createElement('path', {
+            d,
+            stroke: color,
+            class: 'flow-arrow',
+            'marker-end': `url(#flow-head-${arrow.kind})`
+        });
+        const pulse = this.createElement('path', { d, class: 'flow-pulse' });
+        this.svg.append(body, pulse);
+
+        // Value next to the middle of the arrow
+        const middle = (arrow.from + arrow.to) / 2;
+        const value = this.createLabel(arrow.x + 5, middle, 'start', 'flow-value');
+        value.setAttribute('fill', color);
+
+        return { ...arrow, body, pulse, value };
+    }
+
+    /**
+     * Draws a budget from ClimateModel.getEnergyBudget().
+     */
+    update(budget) {
+        this.arrows.forEach(arrow => {
+            const amount = Math.max(0, budget[arrow.key]);
+            const width = Math.max(this.minWidth, amount * this.scale);
+            arrow.body.style.strokeWidth = width;
+            arrow.pulse.style.strokeWidth = width * 0.4;
+            arrow.value.textContent = this.numberFormat.format(amount);
+            arrow.value.setAttribute('x', arrow.x + width / 2 + 3);
+        });
+    }
+
+    updateLabels(t, lang) {
+        this.numberFormat = new Intl.NumberFormat(lang, { maximumFractionDigits: 0 });
+        this.layerLabels.atmosphere.textContent = t.flow_atmosphere;
+        this.layerLabels.surface.textContent = t.flow_surface;
+    }
+}
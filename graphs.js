@@ -3,17 +3,38 @@
  * Handles Chart.js initialization and updates.
  */
 
+// Forcing agents in stacking order, keyed as in ClimateModel.getForcings()
+const FORCING_AGENTS = [
+    { key: 'co2', label: 'CO₂', color: '#f87171' },
+    { key: 'ch4', label: 'CH₄', color: '#fb923c' },
+    { key: 'n2o', label: 'N₂O', color: '#facc15' },
+    { key: 'aerosols', label: 'Aerosols', color: '#94a3b8' },
+    { key: 'volcanic', label: 'Volcanic', color: '#a78bfa' },
+    { key: 'landUse', label: 'Land Use', color: '#34d399' },
+    { key: 'solar', label: 'Solar Cycle', color: '#fbbf24' }
+];
+
+// Sea-level contributions in stacking order, keyed as in SeaLevel.components
+const SEA_LEVEL_COMPONENTS = [
+    { key: 'thermal', label: 'Thermal Expansion', color: '#f87171' },
+    { key: 'glaciers', label: 'Glaciers', color: '#94a3b8' },
+    { key: 'greenland', label: 'Greenland', color: '#38bdf8' },
+    { key: 'antarctica', label: 'Antarctica', color: '#f1f5f9' }
+];
+
 export class ClimateGraphs {
     constructor() {
-        this.maxPoints = 50;
-        this.timeLabel = 0;
+        this.maxPoints = 200;
+        this.sampleInterval = 1; // Model years between history points
+        this.lastSampleTime = -Infinity;
+        this.latestSample = null;
+        this.dirty = false; // New samples waiting to be drawn
 
         // 1. Temperature Chart (Line)
         const ctxTemp = document.getElementById('temp-chart').getContext('2d');
         this.tempChart = new Chart(ctxTemp, {
             type: 'line',
             data: {
-                labels: [],
                 datasets: [{
                     label: 'Avg Surface Temp (°C)',
                     data: [],
@@ -23,17 +44,74 @@ export class ClimateGraphs {
                     tension: 0.4,
                     fill: true,
                     pointRadius: 0
+                }, {
+                    label: 'Loaded Run',
+                    data: [],
+                    borderColor: '#a78bfa',
+                    borderWidth: 2,
+                    borderDash: [4, 4],
+                    pointRadius: 0,
+                    hidden: true
+                }, {
+                    label: 'Control',
+                    data: [],
+                    borderColor: '#94a3b8',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    hidden: true
+                }, {
+                    label: 'Observed',
+                    data: [],
+                    borderColor: '#fbbf24',
+                    backgroundColor: '#fbbf24',
+                    borderWidth: 1,
+                    borderDash: [2, 3],
+                    pointRadius: 3,
+                    hidden: true
+                }, {
+                    // Ensemble 5-95% band: upper edge filled down to the lower edge
+                    label: '5-95% Range',
+                    data: [],
+                    borderColor: 'rgba(248, 113, 113, 0.4)',
+                    backgroundColor: 'rgba(248, 113, 113, 0.15)',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    fill: '+1',
+                    hidden: true
+                }, {
+                    label: '',
+                    data: [],
+                    borderColor: 'rgba(248, 113, 113, 0.4)',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    hidden: true
+                }, {
+                    label: 'Ensemble Median',
+                    data: [],
+                    borderColor: '#f87171',
+                    borderWidth: 2,
+                    borderDash: [6, 3],
+                    pointRadius: 0,
+                    hidden: true
                 }]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
                 plugins: {
-                    legend: { display: false },
+                    legend: {
+                        display: false,
+                        labels: { color: '#94a3b8', boxWidth: 12, filter: (item) => !item.hidden && item.text }
+                    },
                     tooltip: { mode: 'index', intersect: false }
                 },
                 scales: {
-                    x: { display: false },
+                    x: {
+                        type: 'linear',
+                        title: { display: true, text: 'Model Year', color: '#94a3b8' },
+                        grid: { color: 'rgba(255,255,255,0.05)' },
+                        ticks: { color: '#94a3b8', precision: 0 }
+                    },
                     y: {
                         grid: { color: 'rgba(255,255,255,0.1)' },
                         ticks: { color: '#94a3b8' },
@@ -82,34 +160,372 @@ export class ClimateGraphs {
                 animation: { duration: 200 }
             }
         });
+
+        // 3. Latitude Profile Chart (both hemispheres, mirrored)
+        const ctxLatitude = document.getElementById('latitude-chart').getContext('2d');
+        this.latitudeChart = new Chart(ctxLatitude, {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: 'Band Temp (°C)',
+                    data: [],
+                    borderColor: '#f87171',
+                    backgroundColor: 'rgba(248, 113, 113, 0.1)',
+                    borderWidth: 2,
+                    tension: 0.3,
+                    fill: true,
+                    pointRadius: 0
+                }, {
+                    label: 'Ice Line',
+                    data: [],
+                    borderColor: '#f1f5f9',
+                    backgroundColor: '#f1f5f9',
+                    showLine: false,
+                    pointStyle: 'triangle',
+                    pointRadius: 6
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { display: false } },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        min: -90,
+                        max: 90,
+                        title: { display: true, text: 'Latitude (°)', color: '#94a3b8' },
+                        grid: { color: 'rgba(255,255,255,0.05)' },
+                        ticks: { color: '#94a3b8', stepSize: 30 }
+                    },
+                    y: {
+                        grid: { color: 'rgba(255,255,255,0.1)' },
+                        ticks: { color: '#94a3b8' }
+                    }
+                },
+                animation: { duration: 0 }
+            }
+        });
+
+        // 4. Parameter Sweep Chart (Equilibrium vs. parameter)
+        const ctxSweep = document.getElementById('sweep-chart').getContext('2d');
+        this.sweepChart = new Chart(ctxSweep, {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: 'Increasing',
+                    data: [],
+                    borderColor: '#38bdf8',
+                    borderWidth: 2,
+                    pointRadius: 0
+                }, {
+                    label: 'Decreasing',
+                    data: [],
+                    borderColor: '#fbbf24',
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    pointRadius: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { labels: { color: '#94a3b8', boxWidth: 12 } },
+                    tooltip: { mode: 'nearest', intersect: false }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: { display: true, text: '', color: '#94a3b8' },
+                        grid: { color: 'rgba(255,255,255,0.05)' },
+                        ticks: { color: '#94a3b8' }
+                    },
+                    y: {
+                        title: { display: true, text: 'Equilibrium Temp (°C)', color: '#94a3b8' },
+                        grid: { color: 'rgba(255,255,255,0.1)' },
+                        ticks: { color: '#94a3b8' }
+                    }
+                },
+                animation: { duration: 0 }
+            }
+        });
+
+        // 5. Forcing Chart (one stacked bar, warming agents right, cooling agents left)
+        const ctxForcing = document.getElementById('forcing-chart').getContext('2d');
+        this.forcingChart = new Chart(ctxForcing, {
+            type: 'bar',
+            data: {
+                labels: ['Forcing (W/m²)'],
+                datasets: FORCING_AGENTS.map(agent => ({
+                    label: agent.label,
+                    data: [0],
+                    backgroundColor: agent.color,
+                    barPercentage: 0.6
+                }))
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { labels: { color: '#94a3b8', boxWidth: 12 } }
+                },
+                scales: {
+                    x: {
+                        stacked: true,
+                        grid: { color: 'rgba(255,255,255,0.1)' },
+                        ticks: { color: '#94a3b8' },
+                        suggestedMin: -2,
+                        suggestedMax: 4
+                    },
+                    y: {
+                        stacked: true,
+                        grid: { display: false },
+                        ticks: { color: '#f1f5f9' }
+                    }
+                },
+                animation: { duration: 200 }
+            }
+        });
+
+        // 6. Sea-Level Chart (contributions stacked over time)
+        const ctxSeaLevel = document.getElementById('sea-level-chart').getContext('2d');
+        this.seaLevelChart = new Chart(ctxSeaLevel, {
+            type: 'line',
+            data: {
+                datasets: SEA_LEVEL_COMPONENTS.map((component, i) => ({
+                    label: component.label,
+                    data: [],
+                    borderColor: component.color,
+                    backgroundColor: component.color + '59', // ~35% opacity
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    fill: i === 0 ? 'origin' : '-1'
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { labels: { color: '#94a3b8', boxWidth: 12 } },
+                    tooltip: { mode: 'index', intersect: false }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: { display: true, text: 'Model Year', color: '#94a3b8' },
+                        grid: { color: 'rgba(255,255,255,0.05)' },
+                        ticks: { color: '#94a3b8', precision: 0 }
+                    },
+                    y: {
+                        stacked: true,
+                        title: { display: true, text: 'm', color: '#94a3b8' },
+                        grid: { color: 'rgba(255,255,255,0.1)' },
+                        ticks: { color: '#94a3b8' }
+                    }
+                },
+                animation: { duration: 0 }
+            }
+        });
     }
 
-    update(stats) {
-        this.timeLabel++;
+    updateLatitudes(stats) {
+        const north = stats.latitudes.map((lat, i) => ({ x: lat, y: stats.bandTemperatures[i] }));
+        const south = north.map(p => ({ x: -p.x, y: p.y })).reverse();
+        this.latitudeChart.data.datasets[0].data = [...south, ...north];
 
-        // Update Temp Chart
-        this.tempChart.data.labels.push(this.timeLabel);
-        this.tempChart.data.datasets[0].data.push(stats.temp);
+        // Mark the ice line in both hemispheres (hidden when there is no ice)
+        const iceLine = stats.iceLatitude;
+        const marker = this.latitudeChart.data.datasets[1];
+        const edge = stats.latitudes.findIndex(lat => lat >= iceLine);
+        const markerTemp = edge > 0 ? stats.bandTemperatures[edge] : stats.bandTemperatures[0];
+        marker.data = iceLine < 90 ? [{ x: -iceLine, y: markerTemp }, { x: iceLine, y: markerTemp }] : [];
+
+        this.latitudeChart.update();
+    }
+
+    /**
+     * Shows the result of runner.sweepEquilibrium().
+     * The decreasing branch is hidden when the sweep only ran one way.
+     */
+    showSweep(result, axisLabel) {
+        const toPoints = (temps) => temps.map((temp, i) => ({ x: result.values[i], y: temp }));
+
+        this.sweepChart.data.datasets[0].data = toPoints(result.up);
+        this.sweepChart.data.datasets[1].data = result.down ? toPoints(result.down) : [];
+        this.sweepChart.data.datasets[1].hidden = !result.down;
+        this.sweepChart.options.scales.x.title.text = axisLabel;
+        this.sweepChart.update();
+    }
+
+    /**
+     * Records a simulation step into the chart data (called every step).
+     * Drawing happens separately in update(), once per frame.
+     */
+    sample(stats, controlStats = null) {
+        // Temp Chart: one point per sample interval of model time
+        // (tolerance for the float drift of summed time steps, as in history.js)
+        if (stats.time - this.lastSampleTime >= this.sampleInterval - 1e-6) {
+            this.lastSampleTime = stats.time;
+
+            const history = this.tempChart.data.datasets[0].data;
+            history.push({ x: stats.time, y: stats.temp });
+            if (history.length > this.maxPoints) history.shift();
 
-        if (this.tempChart.data.labels.length > this.maxPoints) {
-            this.tempChart.data.labels.shift();
-            this.tempChart.data.datasets[0].data.shift();
+            if (controlStats) {
+                const control = this.tempChart.data.datasets[2].data;
+                control.push({ x: controlStats.time, y: controlStats.temp });
+                if (control.length > this.maxPoints) control.shift();
+            }
+
+            SEA_LEVEL_COMPONENTS.forEach((component, i) => {
+                const series = this.seaLevelChart.data.datasets[i].data;
+                series.push({ x: stats.time, y: stats.seaLevelComponents[component.key] });
+                if (series.length > this.maxPoints) series.shift();
+            });
+
+            this.latestSample = stats;
+            this.dirty = true;
+        }
+    }
+
+    update(stats) {
+        if (this.dirty) {
+            this.dirty = false;
+            this.tempChart.update();
+            this.seaLevelChart.update();
+            if (this.latestSample.bandTemperatures) this.updateLatitudes(this.latestSample);
         }
-        this.tempChart.update();
 
         // [Absorbed, Outgoing]
         this.balanceChart.data.datasets[0].data = [stats.absorbed, stats.outgoing];
         this.balanceChart.update();
+
+        FORCING_AGENTS.forEach((agent, i) => {
+            this.forcingChart.data.datasets[i].data = [stats.forcings[agent.key]];
+        });
+        this.forcingChart.update();
+    }
+
+    /**
+     * Draws a previously exported run on top of the live temperature history.
+     */
+    setOverlay(rows, label) {
+        const overlay = this.tempChart.data.datasets[1];
+        overlay.data = rows.map(row => ({ x: row.time, y: row.temp }));
+        overlay.label = label;
+        overlay.hidden = false;
+        this.refreshLegend();
+        this.tempChart.update();
+    }
+
+    setControlVisible(visible) {
+        const control = this.tempChart.data.datasets[2];
+        control.data = [];
+        control.hidden = !visible;
+        this.refreshLegend();
+        this.tempChart.update();
+    }
+
+    /**
+     * Observed record for a hindcast (null hides it).
+     */
+    setObservations(points) {
+        const observed = this.tempChart.data.datasets[3];
+        observed.data = points || [];
+        observed.hidden = !points;
+        this.refreshLegend();
+        this.tempChart.update();
     }
 
-    updateLabels(t) {
+    /**
+     * Median and 5-95% band of an ensemble.runEnsemble() result (null hides them).
+     */
+    setEnsemble(result) {
+        const [upper, lower, median] = this.tempChart.data.datasets.slice(4);
+        const toPoints = (temps) => result ? temps.map((temp, i) => ({ x: result.times[i], y: temp })) : [];
+
+        upper.data = toPoints(result && result.upper);
+        lower.data = toPoints(result && result.lower);
+        median.data = toPoints(result && result.median);
+        [upper, lower, median].forEach(dataset => { dataset.hidden = !result; });
+
+        this.refreshLegend();
+        this.tempChart.update();
+    }
+
+    refreshLegend() {
+        // Only worth a legend when something is drawn next to the live run
+        const extras = this.tempChart.data.datasets.slice(1);
+        this.tempChart.options.plugins.legend.display = extras.some(dataset => !dataset.hidden);
+    }
+
+    reset() {
+        this.tempChart.data.datasets[0].data = [];
+        this.tempChart.data.datasets[2].data = [];
+        this.seaLevelChart.data.datasets.forEach(dataset => { dataset.data = []; });
+        this.lastSampleTime = -Infinity;
+        this.dirty = false;
+        this.tempChart.update();
+        this.seaLevelChart.update();
+    }
+
+    /**
+     * The temperature and energy-balance charts with their titles, for snapshots.
+     * A chart that was never laid out (its view hidden on a phone) is left out.
+     */
+    snapshotCharts(t) {
+        return [
+            { title: t.chart_temp, canvas: this.tempChart.canvas },
+            { title: t.chart_balance, canvas: this.balanceChart.canvas }
+        ].filter(chart => chart.canvas.width > 0 && chart.canvas.height > 0);
+    }
+
+    updateLabels(t, lang) {
+        // Axis ticks and tooltips format numbers in the active language
+        [this.tempChart, this.balanceChart, this.latitudeChart, this.sweepChart, this.forcingChart, this.seaLevelChart]
+            .forEach(chart => { chart.options.locale = lang; });
+
         // Update Temp Chart
         this.tempChart.data.datasets[0].label = t.chart_temp;
+        this.tempChart.data.datasets[2].label = t.chart_control;
+        this.tempChart.data.datasets[3].label = t.chart_observed;
+        this.tempChart.data.datasets[4].label = t.chart_ensemble_band;
+        this.tempChart.data.datasets[6].label = t.chart_ensemble_median;
+        this.tempChart.options.scales.x.title.text = t.chart_years;
         this.tempChart.update();
 
         // Update Balance Chart
         this.balanceChart.data.labels = [t.chart_absorbed, t.chart_emitted];
         this.balanceChart.data.datasets[0].label = t.chart_balance;
         this.balanceChart.update();
+
+        // Update Latitude Chart
+        this.latitudeChart.data.datasets[0].label = t.chart_band_temp;
+        this.latitudeChart.data.datasets[1].label = t.ice_line_label;
+        this.latitudeChart.options.scales.x.title.text = t.chart_latitude;
+        this.latitudeChart.update();
+
+        // Update Sweep Chart
+        this.sweepChart.data.datasets[0].label = t.sweep_up;
+        this.sweepChart.data.datasets[1].label = t.sweep_down;
+        this.sweepChart.options.scales.y.title.text = t.sweep_temp;
+        this.sweepChart.update();
+
+        // Update Forcing Chart
+        this.forcingChart.data.labels = [t.chart_forcing_axis];
+        FORCING_AGENTS.forEach((agent, i) => {
+            this.forcingChart.data.datasets[i].label = t[`forcing_${agent.key}`];
+        });
+        this.forcingChart.update();
+
+        // Update Sea-Level Chart
+        SEA_LEVEL_COMPONENTS.forEach((component, i) => {
+            this.seaLevelChart.data.datasets[i].label = t[`sea_level_${component.key}`];
+        });
+        this.seaLevelChart.options.scales.x.title.text = t.chart_years;
+        this.seaLevelChart.options.scales.y.title.text = t.chart_sea_level_axis;
+        this.seaLevelChart.update();
     }
 }
@@ -0,0 +1,119 @@
+/**
+ * Hindcast Module
+ * Bundled observations (annual CO2 and global temperature anomaly, data/;
+ * sources and citations are in the files, scripts/fetch-observations.mjs
+ * rebuilds them from 1850) and a hindcast: the model is driven by the observed
+ * CO2 from the first year of the record and its temperature is scored against
+ * the observed one.
+ */
+
+export class Hindcast {
+    /**
+     * @param co2 Dataset { title, label, source, citation, note, rows: [[year, ppm], ...] }
+     * @param temperature Dataset { title, label, source, citation, note, rows: [[year, anomaly], ...] }
+     */
+    constructor(co2, temperature) {
+        this.co2 = co2;
+        this.temperature = temperature;
+
+        this.baseline = null; // Model temperature (C) at the start of the run
+        this.offset = 0; // Observed anomaly (C) at the start of the run
+        this.modelled = new Map(); // Observation year -> model temperature in that year
+        this.lastTime = -Infinity;
+    }
+
+    /**
+     * Fetches the bundled datasets. Rejects if either file is missing or malformed.
+     */
+    static async load(baseUrl = 'data') {
+        const fetchDataset = async (name) => {
+            const response = await fetch(`${baseUrl}/${name}`);
+            if (!response.ok) throw new Error(`Could not load ${name} (${response.status})`);
+            const dataset = await response.json();
+            if (!Array.isArray(dataset.rows)) throw new Error(`${name} has no rows`);
+            return dataset;
+        };
+
+        const [co2, temperature] = await Promise.all([fetchDataset('co2.json'), fetchDataset('temperature.json')]);
+        return new Hindcast(co2, temperature);
+    }
+
+    /**
+     * Scenario for ScenarioPlayer: only CO2 follows the record,
+     * every other parameter stays where the student left it.
+     */
+    get scenario() {
+        return {
+            labelKey: 'scenario_hindcast',
+            keyframes: this.co2.rows.map(([year, co2]) => ({ year, co2 }))
+        };
+    }
+
+    get startYear() {
+        return this.co2.rows[0][0];
+    }
+
+    get endYear() {
+        return this.co2.rows[this.co2.rows.length - 1][0];
+    }
+
+    /**
+     * Starts scoring a new run. The run starts spun up at the first CO2 year, so
+     * its temperature there is matched to the observed anomaly around that year
+     * (mean of the five years centred on it; single years are noisy).
+     */
+    start(baselineTemp) {
+        this.baseline = baselineTemp;
+        const around = this.temperature.rows.filter(([year]) => Math.abs(year - this.startYear) <= 2);
+        this.offset = around.length ? around.reduce((sum, [, anomaly]) => sum + anomaly, 0) / around.length : 0;
+        this.rewind();
+    }
+
+    /**
+     * Forgets every modelled year but keeps the baseline, for a run replayed from its start.
+     */
+    rewind() {
+        this.modelled.clear();
+        this.lastTime = -Infinity;
+    }
+
+    /**
+     * Temperature observations within the years the CO2 record covers.
+     */
+    observations() {
+        return this.temperature.rows.filter(([year]) => year >= this.startYear && year <= this.endYear);
+    }
+
+    /**
+     * Called every step: keeps the model temperature for each observation year it passes.
+     */
+    record(time, temp) {
+        this.observations().forEach(([year]) => {
+            if (year > this.lastTime && year <= time) this.modelled.set(year, temp);
+        });
+        this.lastTime = time;
+    }
+
+    /**
+     * Observed temperatures on the model's scale (C), as chart points.
+     */
+    observedPoints() {
+        return this.observations().map(([year, anomaly]) => ({ x: year, y: this.baseline + anomaly - this.offset }));
+    }
+
+    /**
+     * Root-mean-square difference (C) between modelled and observed anomalies,
+     * over the observation years the run has reached so far.
+     */
+    error() {
+        let sum = 0;
+        let count = 0;
+        this.observations().forEach(([year, anomaly]) => {
+            if (!this.modelled.has(year)) return;
+            const modelledAnomaly = this.modelled.get(year) - this.baseline;
+            sum += Math.pow(modelledAnomaly - (anomaly - this.offset), 2);
+            count++;
+        });
+        return { rmse: count ? Math.sqrt(sum / count) : null, count };
+    }
+}
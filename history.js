@@ -0,0 +1,117 @@
+/**
+ * History Module
+ * Records a run so it can be exported (CSV/JSON) and loaded back.
+ * One row per model year, like the temperature chart; a long run is thinned
+ * out so memory stays bounded at any clock speed.
+ */
+
+// Column order for exports: state first, then the parameters in effect at that step
+const COLUMNS = ['time', 'temp', 'absorbed', 'reflected', 'outgoing', 'netEnergy', 'forcing', 'seaLevel', 'co2', 'ch4', 'n2o', 'aerosols', 'albedo', 'solar', 'forest', 'desert', 'landIce', 'emissions'];
+
+const SAMPLE_INTERVAL = 1; // Model years between rows
+const MAX_ROWS = 10000;
+
+export class RunHistory {
+    constructor(rows = []) {
+        this.rows = rows;
+        this.interval = SAMPLE_INTERVAL;
+        this.lastTime = -Infinity;
+    }
+
+    get columns() {
+        return COLUMNS;
+    }
+
+    /**
+     * Keeps a row once per interval of model time; other steps are skipped.
+     */
+    record(stats, params) {
+        // Tolerance for the float drift of summed time steps
+        if (stats.time - this.lastTime < this.interval - 1e-6) return;
+        this.lastTime = stats.time;
+
+        this.rows.push({
+            time: stats.time,
+            temp: stats.temp,
+            absorbed: stats.absorbed,
+            reflected: stats.reflected,
+            outgoing: stats.outgoing,
+            netEnergy: stats.netEnergy,
+            forcing: stats.forcing,
+            seaLevel: stats.seaLevel,
+            co2: params.co2,
+            ch4: params.ch4,
+            n2o: params.n2o,
+            aerosols: params.aerosols,
+            albedo: stats.albedo, // Effective albedo; the slider only counts when overridden
+            solar: params.solar,
+            forest: params.forest,
+            desert: params.desert,
+            landIce: params.landIce,
+            emissions: params.emissions // GtC/yr; drives CO2 only in carbon-cycle mode
+        });
+
+        // Over the limit: keep every other row and record half as often from now on
+        if (this.rows.length > MAX_ROWS) {
+            this.rows = this.rows.filter((row, i) => i % 2 === 0);
+            this.interval *= 2;
+        }
+    }
+
+    clear() {
+        this.rows = [];
+        this.interval = SAMPLE_INTERVAL;
+        this.lastTime = -Infinity;
+    }
+
+    toCSV() {
+        const lines = this.rows.map(row => COLUMNS.map(key => round(row[key])).join(','));
+        return [COLUMNS.join(','), ...lines].join('\n');
+    }
+
+    toJSON() {
+        return JSON.stringify({
+            columns: COLUMNS,
+            rows: this.rows.map(row => COLUMNS.map(key => round(row[key])))
+        });
+    }
+
+    /**
+     * Parses a previously exported run. The format is picked from the file name,
+     * falling back to sniffing the first character.
+     * Reads the known columns the file has (older exports lack the later ones).
+     * Throws if the file has no time/temp columns.
+     */
+    static parse(text, filename = '') {
+        const isJSON = filename.endsWith('.json') || text.trim().startsWith('{');
+        const { columns, values } = isJSON ? parseJSON(text) : parseCSV(text);
+
+        if (!columns.includes('time') || !columns.includes('temp')) {
+            throw new Error('Run file needs "time" and "temp" columns');
+        }
+
+        const known = COLUMNS.filter(key => columns.includes(key));
+        const rows = values.map(row => {
+            const entry = {};
+            known.forEach(key => { entry[key] = Number(row[columns.indexOf(key)]); });
+            return entry;
+        });
+        return new RunHistory(rows);
+    }
+}
+
+function parseJSON(text) {
+    const data = JSON.parse(text);
+    return { columns: data.columns || [], values: data.rows || [] };
+}
+
+function parseCSV(text) {
+    const lines = text.trim().split(/\r?\n/);
+    const columns = lines[0].split(',').map(c => c.trim());
+    const values = lines.slice(1).filter(line => line.trim()).map(line => line.split(','));
+    return { columns, values };
+}
+
+function round(value) {
+    return Number(Number(value).toFixed(4));
+}
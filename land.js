@@ -0,0 +1,67 @@
+/**
+ * Land Surface Module
+ * Turns land cover (forest, grassland, desert, land ice) into the planetary
+ * albedo and an evapotranspiration term, so forest cover has physical effects.
+ */
+
+export class LandSurface {
+    constructor() {
+        this.landFraction = 0.29; // Share of the Earth's surface that is land
+        this.oceanAlbedo = 0.06;
+
+        // Surface albedo of each land cover type
+        this.albedos = {
+            forest: 0.14,
+            grassland: 0.22,
+            desert: 0.35,
+            ice: 0.7
+        };
+
+        // Only part of the light reflected by the surface gets back out through the
+        // atmosphere; the rest of the planetary albedo comes from clouds and air.
+        // Calibrated so the reference land cover gives a planetary albedo of 0.30.
+        this.cloudAlbedo = 0.23;
+        this.surfaceTransmission = 0.58;
+
+        // Forests pump water from the soil into the air, carrying heat up as latent heat.
+        // W/m2 of global cooling per 100% of land covered by forest, relative to the reference.
+        this.evapotranspirationStrength = 2.5;
+        this.referenceForest = 30; // %
+    }
+
+    /**
+     * Land cover in % of land area. Forest, desert and ice are set directly;
+     * grassland fills the rest. If they add up to more than 100%, desert
+     * and then ice are cut back.
+     */
+    coverOf(forest, desert, ice) {
+        const f = Math.max(0, Math.min(100, forest));
+        const d = Math.max(0, Math.min(100 - f, desert));
+        const i = Math.max(0, Math.min(100 - f - d, ice));
+        return { forest: f, grassland: 100 - f - d - i, desert: d, ice: i };
+    }
+
+    /**
+     * Area-weighted albedo of the Earth's surface (land and ocean).
+     */
+    surfaceAlbedoOf(cover) {
+        const land = Object.keys(this.albedos)
+            .reduce((sum, type) => sum + this.albedos[type] * cover[type] / 100, 0);
+        return this.landFraction * land + (1 - this.landFraction) * this.oceanAlbedo;
+    }
+
+    /**
+     * Planetary albedo (as seen from space) for a land cover.
+     */
+    planetaryAlbedoOf(cover) {
+        return this.cloudAlbedo + this.surfaceTransmission * this.surfaceAlbedoOf(cover);
+    }
+
+    /**
+     * Extra latent heat flux (W/m2) from forest above the reference cover.
+     * Counted as a forcing: more forest, more cooling.
+     */
+    evapotranspirationOf(cover) {
+        return this.evapotranspirationStrength * (cover.forest - this.referenceForest) / 100;
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * Latitude Module
+ * Zonal-mean (1-D) energy balance model in the Budyko-Sellers tradition.
+ * The planet is split into latitude bands from the equator to the pole
+ * (both hemispheres are assumed identical). Each band has its own sunlight,
+ * ice cover and temperature; heat is carried poleward by meridional transport.
+ */
+
+export class LatitudeBands {
+    constructor(bandCount = 18) {
+        this.bandCount = bandCount;
+        this.bandWidth = 90 / bandCount; // degrees
+
+        // Physics Constants
+        this.heatTransport = 1.8; // W/m2/K, Budyko-style relaxation towards the global mean
+        this.iceLineTemp = -10; // Celsius, band temperature below which it is ice covered
+        this.iceTransitionWidth = 1; // Celsius, smooths the ice edge so it does not flicker
+
+        // Geometry
+        this.latitudes = []; // Band centres, degrees
+        this.weights = []; // Fraction of the hemisphere's area in each band
+        this.insolationShape = []; // Annual-mean sunlight relative to the global mean
+        for (let i = 0; i < bandCount; i++) {
+            const south = i * this.bandWidth * Math.PI / 180;
+            const north = (i + 1) * this.bandWidth * Math.PI / 180;
+            const centre = (i + 0.5) * this.bandWidth;
+            const x = Math.sin(centre * Math.PI / 180);
+
+            this.latitudes.push(centre);
+            this.weights.push(Math.sin(north) - Math.sin(south));
+            // Second Legendre polynomial fit to annual-mean insolation (North, 1975)
+            this.insolationShape.push(1 - 0.482 * (3 * x * x - 1) / 2);
+        }
+
+        this.temperatures = this.latitudes.map(lat => this.initialProfile(lat, 15));
+    }
+
+    /**
+     * Rough present-day-like profile around a given global mean, used as a starting state.
+     */
+    initialProfile(lat, meanTemp) {
+        const x = Math.sin(lat * Math.PI / 180);
+        return meanTemp + 14 - 42 * x * x;
+    }
+
+    /**
+     * Sets every band so the area-weighted mean matches temp, keeping the current shape.
+     */
+    setMeanTemperature(temp) {
+        const shift = temp - this.meanOf(this.temperatures);
+        this.temperatures = this.temperatures.map(t => t + shift);
+    }
+
+    meanOf(temps) {
+        return temps.reduce((sum, t, i) => sum + t * this.weights[i], 0);
+    }
+
+    iceCoverOf(temp) {
+        return 0.5 * (1 - Math.tanh((temp - this.iceLineTemp) / this.iceTransitionWidth));
+    }
+
+    /**
+     * Per-band energy terms (W/m2) for a band temperature profile.
+     */
+    energyOf(temps, model, emissivity, solarIntensity = model.getSolarIntensity()) {
+        const meanTemp = this.meanOf(temps);
+        const globalSolar = solarIntensity / 4;
+        const baseAlbedo = model.getBaseAlbedo();
+
+        return temps.map((temp, i) => {
+            const ice = this.iceCoverOf(temp);
+            const albedo = baseAlbedo * (1 - ice) + model.iceAlbedo * ice;
+            const incoming = globalSolar * this.insolationShape[i];
+            const absorbed = incoming * (1 - albedo);
+            const outgoing = emissivity * model.sigma * Math.pow(temp + 273.15, 4);
+            const transport = this.heatTransport * (meanTemp - temp);
+            return { incoming, absorbed, outgoing, transport, ice };
+        });
+    }
+
+    /**
+     * Advances the band temperatures by dt years.
+     * The deep ocean is shared by all bands and exchanges heat with each of them.
+     * Returns area-weighted global means.
+     */
+    step(model, emissivity, dt) {
+        const energy = this.energyOf(this.temperatures, model, emissivity);
+        const totals = { incoming: 0, absorbed: 0, outgoing: 0, oceanUptake: 0, ice: 0 };
+
+        this.temperatures = this.temperatures.map((temp, i) => {
+            const e = energy[i];
+            const uptake = model.oceanHeatExchange * (temp - model.deepOceanTemperature);
+            const w = this.weights[i];
+
+            totals.incoming += e.incoming * w;
+            totals.absorbed += e.absorbed * w;
+            totals.outgoing += e.outgoing * w;
+            totals.oceanUptake += uptake * w;
+            totals.ice += e.ice * w;
+
+            return temp + ((e.absorbed - e.outgoing + e.transport - uptake) / model.mixedLayerHeatCapacity) * dt;
+        });
+
+        return totals;
+    }
+
+    /**
+     * Equilibrium band profile for the current parameters, found by relaxing
+     * from startTemps. At equilibrium the deep ocean matches the global mean,
+     * so its exchange acts like extra poleward transport.
+     */
+    solveEquilibrium(model, emissivity, startTemps = this.temperatures) {
+        let temps = [...startTemps];
+        const dt = 1; // years; stable for the mixed-layer heat capacity
+        for (let n = 0; n < 200; n++) {
+            const energy = this.energyOf(temps, model, emissivity, model.getSolarIntensity(false));
+            const meanTemp = this.meanOf(temps);
+            temps = temps.map((temp, i) => {
+                const e = energy[i];
+                const uptake = model.oceanHeatExchange * (temp - meanTemp);
+                return temp + ((e.absorbed - e.outgoing + e.transport - uptake) / model.mixedLayerHeatCapacity) * dt;
+            });
+        }
+        return temps;
+    }
+
+    /**
+     * Latitude (degrees) where the band temperature crosses the ice line temperature,
+     * interpolated between band centres. 90 = no ice, 0 = ice reaches the equator.
+     */
+    iceLatitudeOf(temps) {
+        if (temps[0] < this.iceLineTemp) return 0;
+        for (let i = 1; i < temps.length; i++) {
+            if (temps[i] < this.iceLineTemp) {
+                const f = (temps[i - 1] - this.iceLineTemp) / (temps[i - 1] - temps[i]);
+                return this.latitudes[i - 1] + f * this.bandWidth;
+            }
+        }
+        return 90;
+    }
+}
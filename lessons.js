@@ -0,0 +1,306 @@
+/**
+ * Lessons Module
+ * Guided lessons loaded from data/lessons/. A lesson is a sequence of steps with
+ * instructions, parameter changes and questions checked against the live model.
+ * Progress is kept in localStorage and the answers export as a report.
+ *
+ * Lesson shape:
+ *   { id, title: { en, id }, summary: { en, id }, steps: [step, ...] }
+ * Step shape (all but text optional):
+ *   { text: { en, id }, params: { co2, ... }, spinUp, highlight: ['co2', ...], check }
+ *   params are applied when the step opens (spinUp then starts a fresh run from
+ *   equilibrium); highlight names the controls the student should use.
+ * Checks:
+ *   { type: 'model', prompt, quantity, target, tolerance } or { ..., min, max }
+ *       The student moves the controls until the live quantity is in range.
+ *   { type: 'number', prompt, quantity, tolerance }
+ *       The student reads a value off the model and types it in.
+ *   { type: 'choice', prompt, options: [{ en, id }, ...], answer }
+ *   { type: 'text', prompt }
+ *       Free answer, not marked; any answer completes the step.
+ */
+
+// Quantities a check can ask for, measured on the live model. referenceTemp is the
+// pre-industrial temperature the warming is counted from. Parameters (co2, forest, ...)
+// can be asked for by their getParams() key as well.
+export const LESSON_QUANTITIES = {
+    temp: { unit: '°C', measure: ({ model }) => model.temperature },
+    warming: { unit: '°C', measure: ({ model, referenceTemp }) => model.temperature - referenceTemp },
+    equilibriumTemp: { unit: '°C', measure: ({ model }) => model.solveEquilibrium() },
+    equilibriumWarming: { unit: '°C', measure: ({ model, referenceTemp }) => model.solveEquilibrium() - referenceTemp },
+    climateSensitivity: { unit: '°C', measure: ({ model }) => model.getDiagnostics().climateSensitivity },
+    forcing: { unit: 'W/m²', measure: ({ model }) => model.getTotalForcing() },
+    albedo: { unit: '', measure: ({ model }) => model.getBaseAlbedo() },
+    seaLevel: { unit: 'm', measure: ({ model }) => model.seaLevel.total() }
+};
+
+const CHECK_TYPES = ['model', 'number', 'choice', 'text'];
+
+/**
+ * Text in the given language, falling back to English, then to any language.
+ */
+export function localized(texts, lang) {
+    if (!texts) return '';
+    if (typeof texts === 'string') return texts;
+    return texts[lang] || texts.en || Object.values(texts)[0] || '';
+}
+
+/**
+ * Live value of a quantity. Throws if the model has no such quantity.
+ */
+export function measureQuantity(key, context) {
+    if (LESSON_QUANTITIES[key]) return LESSON_QUANTITIES[key].measure(context);
+    const value = context.model.getParams()[key];
+    if (typeof value !== 'number') throw new Error(`Unknown quantity "${key}"`);
+    return value;
+}
+
+/**
+ * Checks a lesson's shape. Throws with the first problem found.
+ */
+export function validateLesson(lesson) {
+    if (!lesson || typeof lesson !== 'object') throw new Error('Lesson must be an object');
+    if (!lesson.id) throw new Error('Lesson has no id');
+    if (!Array.isArray(lesson.steps) || lesson.steps.length === 0) {
+        throw new Error(`Lesson "${lesson.id}" has no steps`);
+    }
+
+    lesson.steps.forEach((step, i) => {
+        const where = `Lesson "${lesson.id}", step ${i + 1}`;
+        if (!step.text) throw new Error(`${where} has no text`);
+
+        const check = step.check;
+        if (!check) return;
+        if (!CHECK_TYPES.includes(check.type)) throw new Error(`${where} has an unknown check type "${check.type}"`);
+        if ((check.type === 'model' || check.type === 'number') && !check.quantity) {
+            throw new Error(`${where} does not say which quantity to check`);
+        }
+        if (check.type === 'model' && check.target === undefined && check.min === undefined && check.max === undefined) {
+            throw new Error(`${where} has no target range`);
+        }
+        if (check.type === 'choice' && (!Array.isArray(check.options) || check.options[check.answer] === undefined)) {
+            throw new Error(`${where} has no valid answer among its options`);
+        }
+    });
+    return lesson;
+}
+
+/**
+ * Fetches the lessons listed in <baseUrl>/index.json ({ lessons: [file, ...] }).
+ * A lesson that fails to load or validate is skipped with a warning;
+ * rejects only if the index itself is missing.
+ */
+export async function loadLessons(baseUrl = 'data/lessons') {
+    const fetchJSON = async (name) => {
+        const response = await fetch(`${baseUrl}/${name}`);
+        if (!response.ok) throw new Error(`Could not load ${name} (${response.status})`);
+        return response.json();
+    };
+
+    const index = await fetchJSON('index.json');
+    const results = await Promise.allSettled(
+        (index.lessons || []).map(async (file) => validateLesson(await fetchJSON(file)))
+    );
+
+    return results
+        .filter(result => {
+            if (result.status === 'rejected') console.warn('Skipping lesson', result.reason);
+            return result.status === 'fulfilled';
+        })
+        .map(result => result.value);
+}
+
+/**
+ * A student's way through one lesson: current step, answers and how far they got.
+ * Each step with a check has to be passed before the next one opens.
+ */
+export class LessonSession {
+    constructor(lesson, saved = {}) {
+        this.lesson = lesson;
+        this.answers = saved.answers || {}; // Step index -> { value, measured, correct }
+        this.furthest = Math.min(saved.furthest || 0, lesson.steps.length - 1);
+        this.stepIndex = Math.min(saved.step || 0, this.furthest);
+    }
+
+    get step() {
+        return this.lesson.steps[this.stepIndex];
+    }
+
+    get isLast() {
+        return this.stepIndex === this.lesson.steps.length - 1;
+    }
+
+    isComplete(index) {
+        const step = this.lesson.steps[index];
+        if (!step.check) return index <= this.furthest;
+        const answer = this.answers[index];
+        return Boolean(answer && answer.correct);
+    }
+
+    /**
+     * { completed, total } steps.
+     */
+    progress() {
+        const total = this.lesson.steps.length;
+        let completed = 0;
+        for (let i = 0; i < total; i++) if (this.isComplete(i)) completed++;
+        return { completed, total };
+    }
+
+    canAdvance() {
+        return !this.isLast && this.isComplete(this.stepIndex);
+    }
+
+    next() {
+        if (!this.canAdvance()) return false;
+        this.stepIndex++;
+        this.furthest = Math.max(this.furthest, this.stepIndex);
+        return true;
+    }
+
+    previous() {
+        if (this.stepIndex === 0) return false;
+        this.stepIndex--;
+        return true;
+    }
+
+    /**
+     * Marks the current step's answer. input is the typed number, the chosen
+     * option index or the free text (ignored for model checks).
+     * context is { model, referenceTemp } for measuring the live model.
+     * Returns the recorded { value, measured, correct }.
+     */
+    check(input, context) {
+        const check = this.step.check;
+        if (!check) return null;
+
+        let result;
+        if (check.type === 'model') {
+            const measured = measureQuantity(check.quantity, context);
+            const params = context.model.getParams();
+            const settings = {};
+            (this.step.highlight || []).forEach(key => { settings[key] = params[key]; });
+            result = { value: settings, measured, correct: inRange(measured, check) };
+        } else if (check.type === 'number') {
+            const value = Number(input);
+            const measured = measureQuantity(check.quantity, context);
+            const correct = input !== '' && Number.isFinite(value) && Math.abs(value - measured) <= (check.tolerance || 0);
+            result = { value, measured, correct };
+        } else if (check.type === 'choice') {
+            const value = Number(input);
+            result = { value, measured: null, correct: value === check.answer };
+        } else {
+            const value = String(input || '').trim();
+            result = { value, measured: null, correct: value.length > 0 };
+        }
+
+        this.answers[this.stepIndex] = result;
+        return result;
+    }
+
+    toJSON() {
+        return { step: this.stepIndex, furthest: this.furthest, answers: this.answers };
+    }
+
+    /**
+     * Plain-text report of the student's answers. t holds the report labels
+     * (lesson_report_*), like the locale tables.
+     */
+    report({ lang = 'en', t, student = '', date = new Date() }) {
+        const { completed, total } = this.progress();
+        const lines = [
+            `${t.lesson_report_title}: ${localized(this.lesson.title, lang)}`,
+            `${t.lesson_report_student}: ${student || '-'}`,
+            `${t.lesson_report_date}: ${date.toLocaleString(lang)}`,
+            `${t.lesson_report_progress}: ${completed}/${total}`,
+            ''
+        ];
+
+        this.lesson.steps.forEach((step, i) => {
+            const check = step.check;
+            if (!check) return;
+            const answer = this.answers[i];
+
+            lines.push(`${i + 1}. ${localized(check.prompt || step.text, lang)}`);
+            if (!answer) {
+                lines.push(`   ${t.lesson_report_unanswered}`, '');
+                return;
+            }
+
+            lines.push(`   ${t.lesson_report_answer}: ${formatAnswer(check, answer, lang)}`);
+            if (check.type !== 'text') {
+                lines.push(`   ${answer.correct ? t.lesson_correct : t.lesson_incorrect}`);
+            }
+            lines.push('');
+        });
+
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Saved progress per lesson id, in localStorage.
+ */
+export class LessonProgress {
+    constructor(storageKey = 'climate-lab-lessons') {
+        this.storageKey = storageKey;
+    }
+
+    all() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (err) {
+            console.warn('Could not read lesson progress', err);
+            return {};
+        }
+    }
+
+    get(id) {
+        return this.all()[id] || null;
+    }
+
+    save(session) {
+        const progress = this.all();
+        progress[session.lesson.id] = session.toJSON();
+        this.write(progress);
+    }
+
+    clear(id) {
+        const progress = this.all();
+        delete progress[id];
+        this.write(progress);
+    }
+
+    write(progress) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(progress));
+        } catch (err) {
+            console.warn('Could not save lesson progress', err);
+        }
+    }
+}
+
+function inRange(value, { target, tolerance = 0, min = -Infinity, max = Infinity }) {
+    if (target !== undefined) return Math.abs(value - target) <= tolerance;
+    return value >= min && value <= max;
+}
+
+function formatAnswer(check, answer, lang) {
+    const unit = quantityUnit(check.quantity);
+    const number = new Intl.NumberFormat(lang, { maximumFractionDigits: 2 });
+    const measured = new Intl.NumberFormat(lang, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    if (check.type === 'model') {
+        const settings = Object.entries(answer.value).map(([key, value]) => {
+            return `${key} = ${typeof value === 'number' ? number.format(value) : value}`;
+        });
+        return [...settings, `${check.quantity} = ${measured.format(answer.measured)}${unit}`].join(', ');
+    }
+    if (check.type === 'number') return `${number.format(answer.value)}${unit} (${measured.format(answer.measured)}${unit})`;
+    if (check.type === 'choice') return localized(check.options[answer.value], lang);
+    return answer.value;
+}
+
+function quantityUnit(key) {
+    const unit = LESSON_QUANTITIES[key] && LESSON_QUANTITIES[key].unit;
+    return unit ? ` ${unit}` : '';
+}
@@ -1,68 +1,100 @@
-export const translations = {
-    en: {
-        title: "Earth's Climate System Virtual Lab",
-        header_title: "Climate Lab 🌍",
-        header_subtitle: "Simulate Earth's Energy Balance",
-        variables: "Variables",
-        co2_label: "CO₂ Concentration",
-        co2_info: "Carbon Dioxide levels in parts per million. Higher CO2 traps more heat.",
-        albedo_label: "Surface Albedo",
-        albedo_info: "Reflectivity of Earth's surface. 0 is black (absorbs all), 1 is white (reflects all). Ice is high albedo.",
-        solar_label: "Solar Radiation",
-        solar_info: "Incoming solar energy intensity.",
-        forest_label: "Forest Coverage",
-        forest_info: "Percentage of land covered by forests. Forests absorb CO2 but have lower albedo than desert/ice.",
-        preset_preindustrial: "Pre-Industrial",
-        preset_modern: "Modern Day",
-        preset_extreme: "Extreme Warming",
-        constants_title: "Controlled Constants",
-        constant_radius: "Radius: 6,371 km",
-        constant_area: "Surface Area: 510M km²",
-        stat_temp: "Avg. Surface Temp",
-        stat_balance: "Energy Balance",
-        analytics_title: "Real-time Data",
-        energy_flow_title: "Energy Flow",
-        flow_incoming: "Incoming",
-        flow_reflected: "Reflected",
-        flow_outgoing: "Outgoing IR",
-        chart_temp: "Avg Surface Temp (°C)",
-        chart_balance: "Energy (W/m²)",
-        chart_absorbed: "Absorbed (In)",
-        chart_emitted: "Emitted (Out)",
-        lang_en: "English",
-        lang_id: "Indonesian"
-    },
-    id: {
-        title: "Lab Virtual Sistem Iklim Bumi",
-        header_title: "Lab Iklim 🌍",
-        header_subtitle: "Simulasi Keseimbangan Energi Bumi",
-        variables: "Variabel",
-        co2_label: "Konsentrasi CO₂",
-        co2_info: "Kadar Karbon Dioksida dalam bpj (ppm). Semakin tinggi CO2, semakin banyak panas terperangkap.",
-        albedo_label: "Albedo Permukaan",
-        albedo_info: "Daya pantul permukaan Bumi. 0 hitam (serap semua), 1 putih (pantul semua). Es memiliki albedo tinggi.",
-        solar_label: "Radiasi Matahari",
-        solar_info: "Intensitas energi matahari yang masuk.",
-        forest_label: "Tutupan Hutan",
-        forest_info: "Persentase daratan tertutup hutan. Hutan menyerap CO2 tapi albedonya lebih rendah dari gurun/es.",
-        preset_preindustrial: "Pra-Industri",
-        preset_modern: "Zaman Modern",
-        preset_extreme: "Pemanasan Ekstrem",
-        constants_title: "Konstanta Terkendali",
-        constant_radius: "Jari-jari: 6.371 km",
-        constant_area: "Luas Permukaan: 510M km²",
-        stat_temp: "Rata-rata Suhu Permukaan",
-        stat_balance: "Keseimbangan Energi",
-        analytics_title: "Data Real-time",
-        energy_flow_title: "Aliran Energi",
-        flow_incoming: "Masuk",
-        flow_reflected: "Terpantul",
-        flow_outgoing: "Keluar (IR)",
-        chart_temp: "Rata-rata Suhu Permukaan (°C)",
-        chart_balance: "Energi (W/m²)",
-        chart_absorbed: "Diserap (Masuk)",
-        chart_emitted: "Diemisi (Keluar)",
-        lang_en: "Inggris",
-        lang_id: "Indonesia"
+/**
+ * Locales Module
+ * Translations live in locales/<lang>.json, one bundle per language.
+ * English is the reference: keys missing from another bundle fall back to it.
+ * scripts/check-locales.mjs reports missing keys before a bundle ships:
+ *   node scripts/check-locales.mjs
+ */
+
+export const LANGUAGES = ['en', 'id', 'es', 'ms'];
+export const DEFAULT_LANGUAGE = 'en';
+
+const STORAGE_KEY = 'climate-lab-language';
+
+/**
+ * Fetches every bundle and fills the gaps in each from English.
+ * Resolves to { en: {...}, id: {...}, ... }. A bundle that fails to load is
+ * left out with a warning; rejects only if English itself is missing.
+ */
+export async function loadTranslations(languages = LANGUAGES, baseUrl = 'locales') {
+    const fetchBundle = async (lang) => {
+        const response = await fetch(`${baseUrl}/${lang}.json`);
+        if (!response.ok) throw new Error(`Could not load ${lang}.json (${response.status})`);
+        return response.json();
+    };
+
+    const english = await fetchBundle(DEFAULT_LANGUAGE);
+    const translations = { [DEFAULT_LANGUAGE]: english };
+
+    await Promise.all(languages.filter(lang => lang !== DEFAULT_LANGUAGE).map(async (lang) => {
+        try {
+            const bundle = await fetchBundle(lang);
+            const missing = missingKeys(english, bundle);
+            if (missing.length > 0) console.warn(`Language "${lang}" falls back to English for: ${missing.join(', ')}`);
+            translations[lang] = { ...english, ...bundle };
+        } catch (err) {
+            console.warn(`Language "${lang}" unavailable`, err);
+        }
+    }));
+    return translations;
+}
+
+/**
+ * Keys of the reference bundle that the other bundle lacks or leaves empty.
+ */
+export function missingKeys(reference, bundle) {
+    return Object.keys(reference).filter(key => typeof bundle[key] !== 'string' || bundle[key].trim() === '');
+}
+
+/**
+ * Language to start in: the student's saved choice, else the first browser
+ * language we have (by primary subtag, so 'es-MX' picks 'es'), else English.
+ */
+export function preferredLanguage(available, browserLanguages = navigator.languages || [navigator.language]) {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(STORAGE_KEY);
+    } catch (err) {
+        console.warn('Could not read the saved language', err);
     }
-};
+    if (saved && available.includes(saved)) return saved;
+
+    for (const tag of browserLanguages) {
+        const primary = String(tag).toLowerCase().split('-')[0];
+        if (available.includes(primary)) return primary;
+    }
+    return available.includes(DEFAULT_LANGUAGE) ? DEFAULT_LANGUAGE : available[0];
+}
+
+export function rememberLanguage(lang) {
+    try {
+        localStorage.setItem(STORAGE_KEY, lang);
+    } catch (err) {
+        console.warn('Could not save the language', err);
+    }
+}
+
+/**
+ * Number formatting in a language's conventions (14.9 in English, 14,9 in Indonesian).
+ *   number(value, digits) - fixed number of decimals
+ *   signed(value, digits) - same, with '+' in front of positive values
+ */
+export function numberFormatter(lang) {
+    const formats = new Map();
+    const formatOf = (digits, signDisplay) => {
+        const key = `${digits}-${signDisplay}`;
+        if (!formats.has(key)) {
+            formats.set(key, new Intl.NumberFormat(lang, {
+                minimumFractionDigits: digits,
+                maximumFractionDigits: digits,
+                signDisplay
+            }));
+        }
+        return formats.get(key);
+    };
+
+    return {
+        number: (value, digits = 0) => formatOf(digits, 'auto').format(value),
+        signed: (value, digits = 0) => formatOf(digits, 'exceptZero').format(value)
+    };
+}
@@ -1,19 +1,89 @@
 import { ClimateModel } from './simulation.js';
 import { EarthScene } from './earth.js';
 import { ClimateGraphs } from './graphs.js';
-import { translations } from './locales.js';
+import { EnergyFlowDiagram } from './flow.js';
+import { loadTranslations, preferredLanguage, rememberLanguage, numberFormatter } from './locales.js';
+import { scenarios, ScenarioPlayer } from './scenarios.js';
+import { sweepEquilibrium, createModel } from './runner.js';
+import { RunHistory } from './history.js';
+import { encodeState, decodeState, ExperimentStore } from './storage.js';
+import { PresetLibrary, presetLabel, presetDescription, DEFAULT_PRESETS } from './presets.js';
+import { SimulationClock } from './clock.js';
+import { Hindcast } from './hindcast.js';
+import { ENSEMBLE_CONSTANTS, runEnsemble } from './ensemble.js';
+import { loadLessons, LessonSession, LessonProgress, localized } from './lessons.js';
+import { SessionRecorder, SessionPlayer, parseSession } from './recorder.js';
+import { composeSnapshot, reportHTML } from './snapshot.js';
+
+// The URL is updated once input pauses: Safari allows only 100 replaceState calls per 30 s
+const PERSIST_DELAY = 250; // ms
+// While the parameters keep changing (a scenario, the carbon cycle), the stats panel's
+// equilibrium solves are redone at most this often
+const DIAGNOSTICS_INTERVAL = 250; // ms
 
 class App {
-    constructor() {
+    constructor(translations) {
+        this.translations = translations; // Per language, from loadTranslations()
         this.model = new ClimateModel();
         this.scene = new EarthScene('canvas-container');
         this.graphs = new ClimateGraphs();
+        this.flowDiagram = new EnergyFlowDiagram('flow-diagram');
+        this.history = new RunHistory();
+        this.experiments = new ExperimentStore();
+        this.presets = new PresetLibrary();
+        this.activePresetId = null;
+        this.editingPresetId = null;
+        this.scenario = null;
+        this.scenarioName = '';
+        this.control = null; // Locked comparison model, null when comparison is off
+        this.hindcast = null; // Observations, once loaded
+        this.hindcastShown = false; // Observed record and score on screen
+        this.globeShowsControl = false;
+        this.lessons = []; // Loaded lessons
+        this.lesson = null; // LessonSession in progress
+        this.lessonProgress = new LessonProgress();
+        this.globeLayer = 'none';
+        this.referenceTemps = new Map(); // Pre-industrial equilibrium per combination of model switches
+        this.recorder = null; // SessionRecorder while recording
+        this.replay = null; // SessionPlayer while replaying
+        this.session = null; // Last recorded or loaded session
+        this.view = 'view-simulation';
+        this.persistTimer = null; // Pending URL update, see persistState()
+        this.diagnostics = null; // Last equilibrium solves for the stats panel, see currentDiagnostics()
+        this.diagnosticsKey = '';
+        this.diagnosticsTime = 0;
 
         this.initDOM();
         this.startLoop();
 
-        // Initialize Language
-        this.setLanguage('id');
+        // Observations are bundled files; the hindcast stays unavailable if they fail to load
+        this.hindcastReady = Hindcast.load()
+            .then(hindcast => {
+                this.hindcast = hindcast;
+                this.hindcastOption.disabled = false;
+                this.ensembleInputs.scenario.querySelector('option[value="hindcast"]').disabled = false;
+            })
+            .catch(err => console.warn('Observations unavailable, hindcast disabled', err));
+
+        // Lessons are bundled files too; without them the lesson card says so
+        this.lessonsReady = loadLessons()
+            .then(lessons => {
+                this.lessons = lessons;
+                this.renderLessons();
+            })
+            .catch(err => {
+                console.warn('Lessons unavailable', err);
+                this.lessonUI.start.disabled = true;
+                this.lessonUI.summary.innerText = this.t.lesson_unavailable;
+            });
+
+        // Restore a shared experiment from the URL, otherwise start in the saved or browser language
+        const state = decodeState(window.location.hash);
+        if (state) this.applyState(state);
+        else this.setLanguage(preferredLanguage(Object.keys(this.translations)));
+
+        // What the reset button returns to
+        this.initialState = this.model.snapshot();
     }
 
     initDOM() {
@@ -22,7 +92,13 @@ class App {
             co2: document.getElementById('co2-slider'),
             albedo: document.getElementById('albedo-slider'),
             solar: document.getElementById('solar-slider'),
-            forest: document.getElementById('forest-slider')
+            forest: document.getElementById('forest-slider'),
+            desert: document.getElementById('desert-slider'),
+            landIce: document.getElementById('landIce-slider'),
+            ch4: document.getElementById('ch4-slider'),
+            n2o: document.getElementById('n2o-slider'),
+            aerosols: document.getElementById('aerosols-slider'),
+            emissions: document.getElementById('emissions-slider')
         };
 
         this.displays = {
@@ -30,41 +106,466 @@ class App {
             albedo: document.getElementById('albedo-value'),
             solar: document.getElementById('solar-value'),
             forest: document.getElementById('forest-value'),
+            desert: document.getElementById('desert-value'),
+            landIce: document.getElementById('landIce-value'),
+            grassland: document.getElementById('grassland-value'),
+            ch4: document.getElementById('ch4-value'),
+            n2o: document.getElementById('n2o-value'),
+            aerosols: document.getElementById('aerosols-value'),
+            emissions: document.getElementById('emissions-value'),
+            oceanSink: document.getElementById('ocean-sink-value'),
+            landSink: document.getElementById('land-sink-value'),
+            scenarioYear: document.getElementById('scenario-year'),
+            runStatus: document.getElementById('run-status'),
+            compare: document.getElementById('compare-value'),
             temp: document.getElementById('temp-value'),
             balance: document.getElementById('balance-value'),
-            flowIn: document.getElementById('flow-in'),
-            flowReflected: document.getElementById('flow-reflected'),
-            flowOut: document.getElementById('flow-out')
+            seaLevel: document.getElementById('sea-level-value'),
+            equilibrium: document.getElementById('equilibrium-value'),
+            pipeline: document.getElementById('pipeline-value'),
+            forcing: document.getElementById('forcing-value'),
+            sensitivity: document.getElementById('sensitivity-value'),
+            flow: {
+                incoming: document.getElementById('flow-incoming'),
+                reflectedAtmosphere: document.getElementById('flow-reflected-atmosphere'),
+                reflectedSurface: document.getElementById('flow-reflected-surface'),
+                absorbedAtmosphere: document.getElementById('flow-absorbed-atmosphere'),
+                absorbedSurface: document.getElementById('flow-absorbed-surface'),
+                latent: document.getElementById('flow-latent'),
+                sensible: document.getElementById('flow-sensible'),
+                surfaceEmission: document.getElementById('flow-surface-emission'),
+                window: document.getElementById('flow-window'),
+                backRadiation: document.getElementById('flow-back-radiation'),
+                outgoing: document.getElementById('flow-outgoing')
+            },
+            ice: document.getElementById('ice-value'),
+            iceLine: document.getElementById('ice-line-value')
         };
 
+        this.iceFeedbackToggle = document.getElementById('ice-feedback-toggle');
+        this.albedoOverrideToggle = document.getElementById('albedo-override-toggle');
+        this.latitudeToggle = document.getElementById('latitude-toggle');
+        this.solarCycleToggle = document.getElementById('solar-cycle-toggle');
+        this.eruptionSize = document.getElementById('eruption-size');
+        this.latitudeCard = document.getElementById('latitude-card');
+        this.carbonCycleToggle = document.getElementById('carbon-cycle-toggle');
+        this.carbonCycleControls = document.getElementById('carbon-cycle-controls');
+        this.scenarioSelect = document.getElementById('scenario-select');
+        this.scenarioScrubber = document.getElementById('scenario-scrubber');
+        this.hindcastOption = this.scenarioSelect.querySelector('option[value="hindcast"]');
+        this.displays.hindcastStatus = document.getElementById('hindcast-status');
+        this.langSelect = document.getElementById('lang-select');
+        this.comparisonToggle = document.getElementById('comparison-toggle');
+        this.controlPresetSelect = document.getElementById('control-preset');
+        this.presetBar = document.getElementById('preset-bar');
+        this.presetList = document.getElementById('preset-list');
+        this.presetEditor = {
+            name: document.getElementById('preset-name'),
+            description: document.getElementById('preset-description-input')
+        };
+        this.displays.presetDescription = document.getElementById('preset-description');
+        this.displays.presetStatus = document.getElementById('preset-status');
+        this.globeSourceSelect = document.getElementById('globe-source');
+        this.compareCard = document.getElementById('compare-card');
+        this.clockControls = {
+            play: document.getElementById('clock-play'),
+            step: document.getElementById('clock-step'),
+            reset: document.getElementById('clock-reset'),
+            speed: document.getElementById('clock-speed'),
+            snapshot: document.getElementById('snapshot-export')
+        };
+        this.displays.clockYear = document.getElementById('clock-year');
+        this.sessionControls = {
+            record: document.getElementById('session-record'),
+            replay: document.getElementById('session-replay'),
+            export: document.getElementById('session-export'),
+            import: document.getElementById('session-import'),
+            file: document.getElementById('session-import-file')
+        };
+        this.displays.sessionStatus = document.getElementById('session-status');
+        this.lessonUI = {
+            select: document.getElementById('lesson-select'),
+            start: document.getElementById('lesson-start'),
+            summary: document.getElementById('lesson-summary'),
+            body: document.getElementById('lesson-body'),
+            progressBar: document.getElementById('lesson-progress-bar'),
+            title: document.getElementById('lesson-title'),
+            stepCount: document.getElementById('lesson-step-count'),
+            text: document.getElementById('lesson-text'),
+            question: document.getElementById('lesson-question'),
+            feedback: document.getElementById('lesson-feedback'),
+            prev: document.getElementById('lesson-prev'),
+            check: document.getElementById('lesson-check'),
+            next: document.getElementById('lesson-next'),
+            student: document.getElementById('lesson-student'),
+            report: document.getElementById('lesson-report'),
+            exit: document.getElementById('lesson-exit')
+        };
+        this.globeLayerSelect = document.getElementById('globe-layer');
+        this.globeLegend = document.getElementById('globe-legend');
+        this.displays.globeReadout = document.getElementById('globe-legend-readout');
+        this.experimentName = document.getElementById('experiment-name');
+        this.experimentList = document.getElementById('experiment-list');
+        this.experimentEmpty = document.getElementById('experiment-empty');
+
+        this.sweepInputs = {
+            param: document.getElementById('sweep-param'),
+            min: document.getElementById('sweep-min'),
+            max: document.getElementById('sweep-max'),
+            run: document.getElementById('sweep-run')
+        };
+        this.resetSweepRange();
+
+        this.ensembleInputs = {
+            scenario: document.getElementById('ensemble-scenario'),
+            members: document.getElementById('ensemble-members'),
+            run: document.getElementById('ensemble-run'),
+            clear: document.getElementById('ensemble-clear'),
+            ranges: this.createEnsembleRanges(document.getElementById('ensemble-ranges'))
+        };
+        this.displays.ensembleStatus = document.getElementById('ensemble-status');
+        this.ensembleWorker = null;
+
         // Listeners
         Object.keys(this.inputs).forEach(key => {
             this.inputs[key].addEventListener('input', (e) => {
+                this.record('input', { key, value: e.target.value });
                 this.handleInput(key, e.target.value);
+                this.persistState();
             });
         });
 
+        // Albedo: derived from land cover unless overridden
+        this.albedoOverrideToggle.addEventListener('change', (e) => {
+            this.record('toggle', { key: 'albedoOverride', value: e.target.checked });
+            this.setAlbedoOverride(e.target.checked);
+            this.persistState();
+        });
+
+        // Ice-Albedo Feedback
+        this.iceFeedbackToggle.addEventListener('change', (e) => {
+            this.record('toggle', { key: 'iceFeedback', value: e.target.checked });
+            this.setIceFeedback(e.target.checked);
+            this.persistState();
+        });
+
+        // Latitude Bands
+        this.latitudeToggle.addEventListener('change', (e) => {
+            this.record('toggle', { key: 'latitudeModel', value: e.target.checked });
+            this.setLatitudeModel(e.target.checked);
+            this.persistState();
+        });
+
+        // Volcanic Eruptions & Solar Cycle
+        document.getElementById('eruption-trigger').addEventListener('click', () => {
+            const size = Number(this.eruptionSize.value);
+            this.record('eruption', { size });
+            this.model.addEruption(size);
+        });
+
+        this.solarCycleToggle.addEventListener('change', (e) => {
+            this.record('toggle', { key: 'solarCycle', value: e.target.checked });
+            this.setSolarCycle(e.target.checked);
+            this.persistState();
+        });
+
+        // Carbon Cycle
+        this.carbonCycleToggle.addEventListener('change', (e) => {
+            this.record('toggle', { key: 'carbonCycle', value: e.target.checked });
+            this.setCarbonCycle(e.target.checked);
+            this.persistState();
+        });
+
+        // Scenarios
+        this.scenarioSelect.addEventListener('change', (e) => {
+            this.record('scenario', { name: e.target.value });
+            if (e.target.value) this.startScenario(e.target.value);
+            else this.stopScenario();
+            this.persistState();
+        });
+
+        this.scenarioScrubber.addEventListener('input', (e) => {
+            this.record('seek', { year: Number(e.target.value) });
+            this.seekScenario(Number(e.target.value));
+        });
+
+        // Parameter Sweep
+        this.sweepInputs.param.addEventListener('change', () => {
+            this.resetSweepRange();
+        });
+
+        this.sweepInputs.run.addEventListener('click', () => {
+            this.runSweep();
+        });
+
+        // Ensemble
+        this.ensembleInputs.run.addEventListener('click', () => {
+            this.runEnsemble();
+        });
+
+        this.ensembleInputs.clear.addEventListener('click', () => {
+            this.stopEnsemble();
+            this.graphs.setEnsemble(null);
+            this.displays.ensembleStatus.innerText = '';
+        });
+
+        // Run Export / Import
+        document.getElementById('export-csv').addEventListener('click', () => {
+            this.download('climate-run.csv', this.history.toCSV(), 'text/csv');
+        });
+
+        document.getElementById('export-json').addEventListener('click', () => {
+            this.download('climate-run.json', this.history.toJSON(), 'application/json');
+        });
+
+        const importFile = document.getElementById('import-run-file');
+        document.getElementById('import-run').addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importRun(file);
+            e.target.value = ''; // Allow loading the same file again
+        });
+
+        // Simulation Clock
+        this.clockControls.play.addEventListener('click', () => {
+            this.clock.toggle();
+            this.record('clock', { action: this.clock.running ? 'play' : 'pause' });
+            this.updateClockControls();
+        });
+
+        this.clockControls.step.addEventListener('click', () => {
+            this.record('clock', { action: 'step' });
+            this.clock.stepOnce();
+            this.updateClockControls();
+        });
+
+        this.clockControls.reset.addEventListener('click', () => {
+            this.record('clock', { action: 'reset' });
+            this.resetSimulation();
+        });
+
+        this.clockControls.speed.addEventListener('change', (e) => {
+            this.record('clock', { action: 'speed', speed: Number(e.target.value) });
+            this.clock.setSpeed(Number(e.target.value));
+        });
+
+        this.clockControls.snapshot.addEventListener('click', () => {
+            this.exportSnapshot();
+        });
+
+        // Session Recording
+        this.sessionControls.record.addEventListener('click', () => {
+            if (this.recorder) this.stopRecording();
+            else this.startRecording();
+        });
+
+        this.sessionControls.replay.addEventListener('click', () => {
+            if (this.replay) this.stopReplay();
+            else this.startReplay(this.session);
+        });
+
+        this.sessionControls.export.addEventListener('click', () => {
+            this.download('climate-session.json', JSON.stringify(this.session), 'application/json');
+        });
+
+        this.sessionControls.import.addEventListener('click', () => this.sessionControls.file.click());
+        this.sessionControls.file.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importSession(file);
+            e.target.value = '';
+        });
+
+        // Control vs. Experiment Comparison
+        this.comparisonToggle.addEventListener('change', (e) => {
+            this.record('comparison', { enabled: e.target.checked, preset: this.controlPresetSelect.value });
+            this.setComparison(e.target.checked);
+        });
+
+        this.controlPresetSelect.addEventListener('change', () => {
+            this.record('comparison', { enabled: Boolean(this.control), preset: this.controlPresetSelect.value });
+            if (this.control) this.setComparison(true);
+        });
+
+        this.globeSourceSelect.addEventListener('change', (e) => {
+            this.record('globe', { source: e.target.value });
+            this.globeShowsControl = e.target.value === 'control';
+        });
+
+        this.globeLayerSelect.addEventListener('change', (e) => {
+            this.record('globe', { layer: e.target.value });
+            this.setGlobeLayer(e.target.value);
+        });
+
+        // Saved Experiments
+        document.getElementById('experiment-save').addEventListener('click', () => {
+            this.saveExperiment(this.experimentName.value.trim());
+        });
+
         // Language Switcher
-        document.getElementById('lang-select').addEventListener('change', (e) => {
+        this.langSelect.addEventListener('change', (e) => {
+            this.record('lang', { lang: e.target.value });
             this.setLanguage(e.target.value);
+            rememberLanguage(this.lang);
+            this.persistState();
         });
 
-        // Presets
-        document.querySelectorAll('.preset-pill').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.loadPreset(e.target.dataset.preset);
-            });
+        // Lessons
+        this.lessonUI.select.addEventListener('change', () => this.updateLessonSummary());
+        this.lessonUI.start.addEventListener('click', () => this.startLesson(this.lessonUI.select.value));
+        this.lessonUI.check.addEventListener('click', () => this.checkLessonAnswer());
+        this.lessonUI.next.addEventListener('click', () => {
+            if (this.lesson.next()) this.openLessonStep(this.lesson.step);
+        });
+        this.lessonUI.prev.addEventListener('click', () => {
+            if (this.lesson.previous()) this.renderLessonStep();
+        });
+        this.lessonUI.report.addEventListener('click', () => this.exportLessonReport());
+        this.lessonUI.exit.addEventListener('click', () => this.exitLesson());
+
+        // Presets (buttons are rendered from data in renderPresets)
+        document.getElementById('preset-save').addEventListener('click', () => {
+            this.savePreset();
+        });
+
+        document.getElementById('preset-export').addEventListener('click', () => {
+            this.download('climate-presets.json', this.presets.exportPack(), 'application/json');
+        });
+
+        const presetFile = document.getElementById('preset-import-file');
+        document.getElementById('preset-import').addEventListener('click', () => presetFile.click());
+        presetFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importPresets(file);
+            e.target.value = '';
         });
 
         // Bottom Navigation (Mobile)
         document.querySelectorAll('.nav-item').forEach(btn => {
             btn.addEventListener('click', (e) => {
+                this.record('view', { target: e.currentTarget.dataset.target });
                 this.switchView(e.currentTarget.dataset.target);
+                this.persistState();
             });
         });
     }
 
+    /**
+     * Everything needed to reproduce the current setup.
+     */
+    getState() {
+        return {
+            params: this.model.getParams(),
+            lang: this.lang,
+            view: this.view,
+            scenario: this.scenarioName
+        };
+    }
+
+    applyState(state) {
+        // A language without a loaded bundle (unknown code, failed download) falls back
+        const lang = this.translations[state.lang] ? state.lang : this.lang;
+        this.setLanguage(lang || preferredLanguage(Object.keys(this.translations)));
+        if (state.view) this.switchView(state.view);
+        if (this.scenario) this.stopScenario();
+
+        this.applyParams(state.params || {});
+        if (state.scenario === 'hindcast') {
+            // Waits for the observations to load
+            this.hindcastReady.then(() => {
+                if (!this.hindcast) return;
+                this.scenarioSelect.value = 'hindcast';
+                this.startScenario('hindcast');
+                this.persistState();
+            });
+        } else if (state.scenario && scenarios[state.scenario]) {
+            this.scenarioSelect.value = state.scenario;
+            this.startScenario(state.scenario);
+        }
+        this.persistState();
+    }
+
+    applyParams(params) {
+        const { iceFeedback, latitudeModel, carbonCycle, albedoOverride, ...values } = params;
+
+        // Values first: the toggles below start from the current CO2
+        this.model.updateParams(values);
+        this.syncInputs(values);
+        if (values.solarCycle !== undefined) this.solarCycleToggle.checked = values.solarCycle;
+
+        if (albedoOverride !== undefined) {
+            this.albedoOverrideToggle.checked = albedoOverride;
+            this.setAlbedoOverride(albedoOverride);
+        }
+        if (iceFeedback !== undefined) {
+            this.iceFeedbackToggle.checked = iceFeedback;
+            this.setIceFeedback(iceFeedback);
+        }
+        if (latitudeModel !== undefined) {
+            this.latitudeToggle.checked = latitudeModel;
+            this.setLatitudeModel(latitudeModel);
+        }
+        if (carbonCycle !== undefined) {
+            this.carbonCycleToggle.checked = carbonCycle;
+            this.setCarbonCycle(carbonCycle);
+        }
+    }
+
+    /**
+     * Mirrors the current setup into the URL hash, so the address can be shared.
+     * replaceState keeps slider drags out of the browser's back history; a burst of
+     * changes (a slider drag) is written once, PERSIST_DELAY after the last one.
+     */
+    persistState() {
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            window.history.replaceState(null, '', encodeState(this.getState()));
+        }, PERSIST_DELAY);
+    }
+
+    saveExperiment(name) {
+        if (!name) return;
+        this.experiments.save(name, this.getState());
+        this.experimentName.value = '';
+        this.renderExperiments();
+    }
+
+    renderExperiments() {
+        const experiments = this.experiments.list();
+        this.experimentList.innerHTML = '';
+        this.experimentEmpty.hidden = experiments.length > 0;
+
+        experiments.forEach(experiment => {
+            const item = document.createElement('li');
+            item.className = 'experiment-item';
+
+            const name = document.createElement('span');
+            name.textContent = experiment.name;
+
+            const open = document.createElement('button');
+            open.className = 'action-button';
+            open.textContent = this.t.experiment_open;
+            open.addEventListener('click', () => {
+                this.record('state', { state: experiment.state });
+                this.applyState(experiment.state);
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'action-button secondary';
+            remove.textContent = this.t.experiment_delete;
+            remove.addEventListener('click', () => {
+                this.experiments.remove(experiment.name);
+                this.renderExperiments();
+            });
+
+            item.append(name, open, remove);
+            this.experimentList.appendChild(item);
+        });
+    }
+
     switchView(viewId) {
+        this.view = viewId;
+
         // Update Nav State
         document.querySelectorAll('.nav-item').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.target === viewId);
@@ -85,7 +586,7 @@ class App {
 
     setLanguage(lang) {
         console.log(`Setting language to: ${lang}`);
-        const t = translations[lang];
+        const t = this.translations[lang];
         if (!t) {
             console.error(`Translation not found for language: ${lang}`);
             return;
@@ -113,73 +614,1119 @@ class App {
             }
         });
 
+        this.t = t;
+        this.lang = lang;
+        this.format = numberFormatter(lang);
+        this.langSelect.value = lang;
+        document.documentElement.lang = lang;
+
         // Update Graphs
-        this.graphs.updateLabels(t);
+        this.graphs.updateLabels(t, lang);
+        this.flowDiagram.updateLabels(t, lang);
+
+        // Dynamic lists are rendered in the active language
+        this.renderExperiments();
+        this.renderPresets();
+        this.renderLessons();
+        this.updateClockControls();
+        this.updateSessionControls();
     }
 
     handleInput(key, value) {
         // Update Model
         this.model.updateParams({ [key]: value });
+        this.setActivePreset(null);
 
         // Update DOM Display
-        this.displays[key].innerText = value;
+        this.displays[key].innerText = this.formatSetting(key, value);
     }
 
-    loadPreset(name) {
-        let params = {};
-        switch (name) {
-            case 'pre-industrial':
-                params = { co2: 280, albedo: 0.32, solar: 1361, forest: 50 };
-                break;
-            case 'modern':
-                params = { co2: 420, albedo: 0.30, solar: 1361, forest: 30 };
-                break;
-            case 'extreme':
-                params = { co2: 600, albedo: 0.25, solar: 1365, forest: 10 };
-                break;
+    /**
+     * A slider value as displayed: rounded to the slider's step, in the active language.
+     */
+    formatSetting(key, value) {
+        const decimals = (this.inputs[key].step.split('.')[1] || '').length;
+        return this.format.number(Number(value), decimals);
+    }
+
+    setIceFeedback(enabled) {
+        this.model.updateParams({ iceFeedback: enabled });
+        if (this.control) this.setComparison(true);
+
+        // Tipping points lie far outside the everyday CO2 range,
+        // so widen the slider while the feedback is active.
+        const range = enabled ? { min: 10, max: 2000 } : { min: 280, max: 1200 };
+        const co2 = Math.max(range.min, Math.min(range.max, this.model.co2));
+        this.inputs.co2.min = range.min;
+        this.inputs.co2.max = range.max;
+        this.handleInput('co2', co2);
+        this.inputs.co2.value = co2;
+        this.resetSweepRange();
+    }
+
+    resetSweepRange() {
+        // Default to the full range of the matching slider
+        const input = this.inputs[this.sweepInputs.param.value];
+        this.sweepInputs.min.value = input.min;
+        this.sweepInputs.max.value = input.max;
+    }
+
+    runSweep() {
+        const key = this.sweepInputs.param.value;
+        const min = Number(this.sweepInputs.min.value);
+        const max = Number(this.sweepInputs.max.value);
+        if (!(max > min)) return;
+
+        const result = sweepEquilibrium(this.model.getParams(), key, min, max);
+        this.graphs.showSweep(result, this.t[`${key}_label`]);
+    }
+
+    /**
+     * One min/max row per uncertain constant, prefilled with the default range.
+     * Labels use data-i18n, so setLanguage() translates them.
+     */
+    createEnsembleRanges(container) {
+        const ranges = {};
+        ENSEMBLE_CONSTANTS.forEach(({ key, labelKey, min, max }) => {
+            const label = document.createElement('span');
+            label.dataset.i18n = labelKey;
+
+            const createInput = (value) => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = 'any';
+                input.className = 'control-input';
+                input.value = value;
+                return input;
+            };
+            const minInput = createInput(min);
+            const maxInput = createInput(max);
+
+            const dash = document.createElement('span');
+            dash.textContent = '–';
+
+            container.append(label, minInput, dash, maxInput);
+            ranges[key] = { min: minInput, max: maxInput };
+        });
+        return ranges;
+    }
+
+    /**
+     * Runs an ensemble of the chosen pathway with the current toggles, in a
+     * Web Worker when available. A new run replaces one still in progress.
+     */
+    runEnsemble() {
+        const name = this.ensembleInputs.scenario.value;
+        const scenario = name === 'hindcast' ? this.hindcast.scenario : name;
+        const members = Math.max(5, Math.min(500, Math.round(Number(this.ensembleInputs.members.value) || 50)));
+
+        const ranges = {};
+        Object.entries(this.ensembleInputs.ranges).forEach(([key, inputs]) => {
+            const min = Number(inputs.min.value);
+            const max = Number(inputs.max.value);
+            if (Number.isFinite(min) && Number.isFinite(max)) ranges[key] = { min: Math.min(min, max), max: Math.max(min, max) };
+        });
+
+        // The pathway sets CO2 itself, so emissions mode stays off
+        const params = { ...this.model.getParams(), carbonCycle: false };
+        const options = { members, ranges, scenario };
+
+        this.stopEnsemble();
+        this.displays.ensembleStatus.innerText = this.t.ensemble_running.replace('{done}', 0).replace('{n}', members);
+
+        if (typeof Worker === 'undefined') {
+            this.showEnsemble(runEnsemble(params, options));
+            return;
+        }
+
+        this.ensembleWorker = new Worker(new URL('./ensemble-worker.js', import.meta.url), { type: 'module' });
+        this.ensembleWorker.addEventListener('message', (e) => {
+            const message = e.data;
+            if (message.type === 'progress') {
+                this.displays.ensembleStatus.innerText = this.t.ensemble_running
+                    .replace('{done}', message.done).replace('{n}', message.total);
+            } else if (message.type === 'result') {
+                this.stopEnsemble();
+                this.showEnsemble(message.result);
+            } else {
+                console.error('Ensemble failed', message.message);
+                this.stopEnsemble();
+                this.displays.ensembleStatus.innerText = this.t.ensemble_error;
+            }
+        });
+        this.ensembleWorker.postMessage({ params, options });
+    }
+
+    stopEnsemble() {
+        if (!this.ensembleWorker) return;
+        this.ensembleWorker.terminate();
+        this.ensembleWorker = null;
+    }
+
+    showEnsemble(result) {
+        this.graphs.setEnsemble(result);
+
+        const last = result.times.length - 1;
+        this.displays.ensembleStatus.innerText = this.t.ensemble_done
+            .replace('{n}', result.members)
+            .replace('{year}', Math.round(result.times[last]))
+            .replace('{median}', this.format.number(result.median[last], 1))
+            .replace('{lower}', this.format.number(result.lower[last], 1))
+            .replace('{upper}', this.format.number(result.upper[last], 1));
+    }
+
+    /**
+     * Starts (or restarts) a locked control run next to the experiment.
+     * The control uses a preset's parameters but the same model physics,
+     * so the only difference between the two is what the student changed.
+     */
+    setComparison(enabled) {
+        this.control = null;
+        this.compareCard.hidden = !enabled;
+        this.globeSourceSelect.disabled = !enabled;
+        if (!enabled) {
+            this.globeShowsControl = false;
+            this.globeSourceSelect.value = 'experiment';
+            this.graphs.setControlVisible(false);
+            return;
         }
 
-        // Apply
-        this.model.updateParams(params);
+        const { iceFeedback, latitudeModel, solarCycle, albedoOverride } = this.model.getParams();
+        const preset = this.presets.get(this.controlPresetSelect.value);
+        this.control = createModel({ ...preset.params, iceFeedback, latitudeModel, solarCycle, albedoOverride });
+        this.control.spinUp();
+        this.control.time = this.model.time;
+        this.controlInitialState = this.control.snapshot();
+        this.graphs.setControlVisible(true);
+    }
+
+    setLatitudeModel(enabled) {
+        this.model.updateParams({ latitudeModel: enabled });
+        this.latitudeCard.hidden = !enabled;
+        if (!enabled) this.displays.iceLine.innerText = '–';
+
+        // Keep the control on the same physics
+        if (this.control) this.setComparison(true);
+    }
+
+    setAlbedoOverride(enabled) {
+        this.model.updateParams({ albedoOverride: enabled });
+        if (this.control) this.control.updateParams({ albedoOverride: enabled });
+
+        // Without the override the slider is a readout of the land-cover albedo
+        this.inputs.albedo.disabled = !enabled;
+        if (enabled) this.handleInput('albedo', this.inputs.albedo.value);
+    }
+
+    setSolarCycle(enabled) {
+        this.model.updateParams({ solarCycle: enabled });
+        if (this.control) this.control.updateParams({ solarCycle: enabled });
+    }
+
+    setCarbonCycle(enabled) {
+        this.model.updateParams({ carbonCycle: enabled });
+
+        // CO2 becomes an output of the model, so the slider turns into a readout
+        this.inputs.co2.disabled = enabled;
+        this.carbonCycleControls.hidden = !enabled;
+    }
+
+    loadPreset(id) {
+        const preset = this.presets.get(id);
+        if (!preset) return;
+
+        // Apply; an albedo only counts with the override on
+        this.applyParams({ ...preset.params, albedoOverride: preset.params.albedo !== undefined });
+        this.setActivePreset(id);
+    }
+
+    setActivePreset(id) {
+        this.activePresetId = id;
+        this.presetBar.querySelectorAll('.preset-pill').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.preset === id);
+        });
+
+        const preset = id && this.presets.get(id);
+        this.displays.presetDescription.innerText = preset ? presetDescription(preset, this.lang) : '';
+    }
+
+    /**
+     * Renders the preset bar, the control picker and the user preset list from data.
+     */
+    renderPresets() {
+        const presets = this.presets.list();
+        const locked = Boolean(this.scenario);
+
+        this.presetBar.innerHTML = '';
+        presets.forEach(preset => {
+            const btn = document.createElement('button');
+            btn.className = 'preset-pill';
+            btn.dataset.preset = preset.id;
+            btn.textContent = presetLabel(preset, this.lang);
+            btn.title = presetDescription(preset, this.lang);
+            btn.disabled = locked;
+            btn.addEventListener('click', () => {
+                this.record('preset', { id: preset.id });
+                this.loadPreset(preset.id);
+                this.persistState();
+            });
+            this.presetBar.appendChild(btn);
+        });
+
+        const control = this.controlPresetSelect.value || 'pre-industrial';
+        this.controlPresetSelect.innerHTML = '';
+        presets.forEach(preset => {
+            this.controlPresetSelect.add(new Option(presetLabel(preset, this.lang), preset.id));
+        });
+        this.controlPresetSelect.value = this.presets.get(control) ? control : presets[0].id;
+
+        this.presetList.innerHTML = '';
+        this.presets.userPresets().forEach(preset => {
+            const item = document.createElement('li');
+            item.className = 'experiment-item';
+
+            const name = document.createElement('span');
+            name.textContent = presetLabel(preset, this.lang);
+
+            const edit = document.createElement('button');
+            edit.className = 'action-button';
+            edit.textContent = this.t.preset_edit;
+            edit.addEventListener('click', () => this.editPreset(preset.id));
+
+            const remove = document.createElement('button');
+            remove.className = 'action-button secondary';
+            remove.textContent = this.t.preset_delete;
+            remove.addEventListener('click', () => {
+                this.presets.remove(preset.id);
+                if (this.editingPresetId === preset.id) this.editingPresetId = null;
+                this.renderPresets();
+            });
+
+            item.append(name, edit, remove);
+            this.presetList.appendChild(item);
+        });
+
+        this.setActivePreset(this.activePresetId);
+    }
+
+    editPreset(id) {
+        const preset = this.presets.get(id);
+        this.editingPresetId = id;
+        this.presetEditor.name.value = presetLabel(preset, this.lang);
+        this.presetEditor.description.value = presetDescription(preset, this.lang);
+        this.loadPreset(id);
+    }
+
+    /**
+     * Saves the current slider state as a user preset. While editing, the
+     * edited preset is updated; labels in other languages are kept.
+     */
+    savePreset() {
+        const name = this.presetEditor.name.value.trim();
+        if (!name) return;
+
+        const existing = this.editingPresetId && this.presets.get(this.editingPresetId);
+        const { co2, ch4, n2o, aerosols, albedo, albedoOverride, solar, forest, desert, landIce } = this.model.getParams();
+        const description = this.presetEditor.description.value.trim();
+        // The slider albedo is kept only when it is in effect
+        const params = { co2, ch4, n2o, aerosols, solar, forest, desert, landIce, ...(albedoOverride ? { albedo } : {}) };
+
+        const preset = this.presets.save({
+            id: existing ? existing.id : undefined,
+            labels: { ...(existing ? existing.labels : {}), [this.lang]: name },
+            params,
+            description: { ...(existing ? existing.description : {}), [this.lang]: description }
+        });
+
+        this.editingPresetId = null;
+        this.presetEditor.name.value = '';
+        this.presetEditor.description.value = '';
+        this.activePresetId = preset.id;
+        this.renderPresets();
+    }
 
-        // Update Inputs & Displays
+    async importPresets(file) {
+        try {
+            const count = this.presets.importPack(await file.text());
+            this.displays.presetStatus.innerText = this.t.preset_imported.replace('{n}', count);
+            this.renderPresets();
+        } catch (err) {
+            console.error('Preset import failed', err);
+            this.displays.presetStatus.innerText = this.t.preset_import_error;
+        }
+    }
+
+    syncInputs(params) {
+        // Update Inputs & Displays (rounded to each slider's step)
         Object.keys(params).forEach(key => {
-            if (this.inputs[key]) this.inputs[key].value = params[key];
-            if (this.displays[key]) this.displays[key].innerText = params[key];
+            const input = this.inputs[key];
+            if (!input) return;
+            input.value = params[key];
+            if (this.displays[key]) this.displays[key].innerText = this.formatSetting(key, params[key]);
+        });
+    }
+
+    /**
+     * Captures the globe, the temperature and energy-balance charts and the values on
+     * screen: downloads them as one PNG and opens them as a printable report.
+     */
+    exportSnapshot() {
+        const t = this.t;
+        const content = {
+            title: t.snapshot_title,
+            subtitle: `${t.clock_year} ${this.displays.clockYear.innerText} · ${new Date().toLocaleString(this.lang)}`,
+            globe: this.scene.capture(),
+            charts: this.graphs.snapshotCharts(t),
+            sections: this.snapshotSections()
+        };
+
+        // The report opens in a new tab for printing; with pop-ups blocked it downloads instead
+        const report = reportHTML({ ...content, lang: this.lang, printLabel: t.snapshot_print, footer: t.snapshot_footer });
+        const tab = window.open('', '_blank');
+        if (tab) {
+            tab.document.write(report);
+            tab.document.close();
+        } else {
+            this.download('climate-report.html', report, 'text/html');
+        }
+
+        composeSnapshot(content).toBlob(blob => this.download('climate-snapshot.png', blob, 'image/png'));
+    }
+
+    /**
+     * The settings and readouts as [label, value] rows, worded and formatted as on screen.
+     */
+    snapshotSections() {
+        const t = this.t;
+        const text = el => el.textContent.replace(/\s+/g, ' ').trim();
+        const labelOf = input => text(document.querySelector(`label[for="${input.id}"]`));
+
+        const settings = Object.entries(this.inputs)
+            .filter(([key]) => key !== 'emissions' || this.model.carbonCycle)
+            .map(([key, input]) => [labelOf(input), text(this.displays[key].closest('.control-value'))]);
+        [this.carbonCycleToggle, this.albedoOverrideToggle, this.solarCycleToggle, this.iceFeedbackToggle, this.latitudeToggle]
+            .forEach(toggle => settings.push([labelOf(toggle), toggle.checked ? t.snapshot_on : t.snapshot_off]));
+        if (this.scenario) settings.push([t.scenario_label, text(this.scenarioSelect.selectedOptions[0])]);
+
+        const values = [...document.querySelectorAll('.stats-container .stat-card')]
+            .filter(card => !card.hidden)
+            .map(card => [text(card.querySelector('.stat-label')), text(card.querySelector('.stat-value'))]);
+
+        return [
+            { title: t.snapshot_settings, rows: settings },
+            { title: t.snapshot_values, rows: values }
+        ];
+    }
+
+    download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        // Revoking straight away can cancel the download (Safari); wait a task
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    async importRun(file) {
+        try {
+            const run = RunHistory.parse(await file.text(), file.name);
+            this.graphs.setOverlay(run.rows, `${this.t.chart_overlay}: ${file.name}`);
+            this.displays.runStatus.innerText = this.t.run_imported
+                .replace('{name}', file.name)
+                .replace('{n}', run.rows.length);
+        } catch (err) {
+            console.error('Run import failed', err);
+            this.displays.runStatus.innerText = this.t.run_import_error;
+        }
+    }
+
+    renderLessons() {
+        const selected = this.lesson ? this.lesson.lesson.id : this.lessonUI.select.value;
+        const choose = this.lessonUI.select.options[0];
+        this.lessonUI.select.innerHTML = '';
+        this.lessonUI.select.add(choose);
+        this.lessons.forEach(lesson => {
+            this.lessonUI.select.add(new Option(localized(lesson.title, this.lang), lesson.id));
+        });
+        this.lessonUI.select.value = this.lessons.some(lesson => lesson.id === selected) ? selected : '';
+
+        this.updateLessonSummary();
+        if (this.lesson) this.renderLessonStep();
+    }
+
+    updateLessonSummary() {
+        const lesson = this.lessons.find(l => l.id === this.lessonUI.select.value);
+        this.lessonUI.start.disabled = !lesson;
+        if (!lesson) {
+            this.lessonUI.summary.innerText = '';
+            return;
+        }
+
+        // Mention saved progress, so the student knows Start picks up where they left off
+        const saved = this.lessonProgress.get(lesson.id);
+        const { completed, total } = new LessonSession(lesson, saved || {}).progress();
+        this.lessonUI.summary.innerText = localized(lesson.summary, this.lang) + (saved
+            ? ' ' + this.t.lesson_saved_progress.replace('{done}', completed).replace('{total}', total)
+            : '');
+    }
+
+    /**
+     * Opens a lesson where the student left it. The setup of the last step with
+     * parameters at or before that point is applied, so the model matches the lesson.
+     */
+    startLesson(id) {
+        const lesson = this.lessons.find(l => l.id === id);
+        if (!lesson) return;
+
+        this.lesson = new LessonSession(lesson, this.lessonProgress.get(id) || {});
+        this.lessonUI.body.hidden = false;
+        this.lessonUI.select.disabled = true;
+        this.lessonUI.start.disabled = true;
+
+        const setup = lesson.steps.slice(0, this.lesson.stepIndex + 1).reverse().find(step => step.params);
+        if (setup) this.applyLessonSetup(setup);
+        this.renderLessonStep();
+    }
+
+    openLessonStep(step) {
+        if (step.params) this.applyLessonSetup(step);
+        this.lessonProgress.save(this.lesson);
+        this.renderLessonStep();
+    }
+
+    applyLessonSetup(step) {
+        // The lesson sets the parameters, not a playing scenario
+        this.record('setup', { params: step.params, spinUp: step.spinUp });
+        if (this.scenario) this.stopScenario();
+        this.applyParams(step.params);
+        this.setActivePreset(null);
+
+        if (step.spinUp) {
+            this.model.spinUp();
+            this.initialState = this.model.snapshot();
+            this.resetSimulation();
+        }
+        this.persistState();
+    }
+
+    renderLessonStep() {
+        const session = this.lesson;
+        const step = session.step;
+        const ui = this.lessonUI;
+        const { completed, total } = session.progress();
+
+        ui.title.innerText = localized(session.lesson.title, this.lang);
+        ui.stepCount.innerText = this.t.lesson_step
+            .replace('{n}', session.stepIndex + 1)
+            .replace('{total}', total);
+        ui.progressBar.style.width = `${(completed / total) * 100}%`;
+        ui.text.innerText = localized(step.text, this.lang);
+
+        this.renderLessonQuestion(step.check, session.answers[session.stepIndex]);
+        this.highlightControls(step.highlight || []);
+
+        ui.check.hidden = !step.check;
+        ui.prev.disabled = session.stepIndex === 0;
+        ui.next.disabled = !session.canAdvance();
+
+        const answer = session.answers[session.stepIndex];
+        ui.feedback.innerText = answer ? this.lessonFeedback(step.check, answer) : '';
+        if (session.isLast && session.isComplete(session.stepIndex)) ui.feedback.innerText = this.t.lesson_done;
+    }
+
+    renderLessonQuestion(check, answer) {
+        const container = this.lessonUI.question;
+        container.innerHTML = '';
+        if (!check) return;
+
+        const prompt = document.createElement('p');
+        prompt.className = 'lesson-prompt';
+        prompt.innerText = localized(check.prompt, this.lang);
+        container.appendChild(prompt);
+
+        if (check.type === 'number') {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.className = 'control-input lesson-answer';
+            if (answer) input.value = answer.value;
+            container.appendChild(input);
+        } else if (check.type === 'choice') {
+            check.options.forEach((option, i) => {
+                const label = document.createElement('label');
+                label.className = 'lesson-option';
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = 'lesson-choice';
+                radio.value = i;
+                radio.checked = Boolean(answer) && answer.value === i;
+                label.append(radio, document.createTextNode(' ' + localized(option, this.lang)));
+                container.appendChild(label);
+            });
+        } else if (check.type === 'text') {
+            const textarea = document.createElement('textarea');
+            textarea.rows = 3;
+            textarea.className = 'control-input wide lesson-answer';
+            if (answer) textarea.value = answer.value;
+            container.appendChild(textarea);
+        }
+    }
+
+    checkLessonAnswer() {
+        const check = this.lesson.step.check;
+        const container = this.lessonUI.question;
+        let input = null;
+        if (check.type === 'number' || check.type === 'text') {
+            input = container.querySelector('.lesson-answer').value;
+        } else if (check.type === 'choice') {
+            const chosen = container.querySelector('input[name="lesson-choice"]:checked');
+            if (!chosen) return;
+            input = chosen.value;
+        }
+
+        this.lesson.check(input, {
+            model: this.model,
+            referenceTemp: this.referenceTemperatureOf(this.model)
+        });
+        this.lessonProgress.save(this.lesson);
+        this.renderLessonStep();
+    }
+
+    lessonFeedback(check, answer) {
+        if (check.type === 'text') return this.t.lesson_saved;
+        if (answer.correct) return this.t.lesson_correct;
+        if (check.type === 'model') return this.t.lesson_not_yet.replace('{value}', this.format.number(answer.measured, 2));
+        return this.t.lesson_try_again;
+    }
+
+    /**
+     * Marks the cards of the named controls (slider keys or toggle names).
+     */
+    highlightControls(keys) {
+        const toggles = {
+            iceFeedback: this.iceFeedbackToggle,
+            latitudeModel: this.latitudeToggle,
+            carbonCycle: this.carbonCycleToggle,
+            albedoOverride: this.albedoOverrideToggle,
+            solarCycle: this.solarCycleToggle
+        };
+        document.querySelectorAll('.lesson-highlight').forEach(el => el.classList.remove('lesson-highlight'));
+        keys.forEach(key => {
+            const control = this.inputs[key] || toggles[key];
+            const card = control && control.closest('.control-card');
+            if (card) card.classList.add('lesson-highlight');
+        });
+    }
+
+    exportLessonReport() {
+        const report = this.lesson.report({ lang: this.lang, t: this.t, student: this.lessonUI.student.value.trim() });
+        this.download(`lesson-${this.lesson.lesson.id}.txt`, report, 'text/plain');
+    }
+
+    exitLesson() {
+        this.lesson = null;
+        this.highlightControls([]);
+        this.lessonUI.body.hidden = true;
+        this.lessonUI.select.disabled = false;
+        this.updateLessonSummary();
+    }
+
+    startScenario(name) {
+        // CO2 comes from the timeline, not from emissions
+        if (this.model.carbonCycle) {
+            this.carbonCycleToggle.checked = false;
+            this.setCarbonCycle(false);
+        }
+
+        const isHindcast = name === 'hindcast';
+        this.scenario = new ScenarioPlayer(isHindcast ? this.hindcast.scenario : scenarios[name]);
+        this.scenarioName = name;
+        this.scenarioScrubber.min = this.scenario.startYear;
+        this.scenarioScrubber.max = this.scenario.endYear;
+        this.setControlsLocked(true);
+
+        // Start from equilibrium with the first keyframe, as a fresh run
+        this.model.updateParams(this.scenario.valuesAt(this.scenario.startYear));
+        this.model.spinUp();
+        this.model.time = this.scenario.startYear;
+        this.initialState = this.model.snapshot();
+        this.history.clear();
+
+        // Hindcast: observed temperatures are drawn relative to the spun-up start
+        this.hindcastShown = isHindcast;
+        if (isHindcast) {
+            this.hindcast.start(this.model.temperature);
+            this.graphs.setObservations(this.hindcast.observedPoints());
+        } else {
+            this.graphs.setObservations(null);
+        }
+        this.displays.hindcastStatus.hidden = !isHindcast;
+
+        this.seekScenario(this.scenario.startYear);
+    }
+
+    /**
+     * Moves the scenario to a year. Temperature, ocean heat, carbon and sea level
+     * all depend on the path taken, so the run is replayed from its first year.
+     */
+    seekScenario(year) {
+        if (!this.scenario) return;
+        this.model.restore(this.initialState);
+        if (this.control) this.control.restore(this.controlInitialState);
+        this.history.clear();
+        this.graphs.reset();
+        if (this.scenarioName === 'hindcast') this.hindcast.rewind();
+
+        const dt = this.clock.dt;
+        while (this.model.time + dt / 2 < year) {
+            this.model.updateParams(this.scenario.valuesAt(this.model.time));
+            this.advance(dt);
+        }
+        this.updateScenario();
+    }
+
+    updateHindcastStatus() {
+        const { rmse, count } = this.hindcast.error();
+        this.displays.hindcastStatus.innerText = rmse === null
+            ? this.t.hindcast_waiting
+            : this.t.hindcast_error.replace('{rmse}', this.format.number(rmse, 2)).replace('{n}', count)
+                .replace('{temperature}', this.hindcast.temperature.label).replace('{co2}', this.hindcast.co2.label);
+    }
+
+    updateScenario() {
+        const year = this.model.time;
+        const values = this.scenario.valuesAt(year);
+
+        this.model.updateParams(values);
+        this.syncInputs(values);
+
+        this.scenarioScrubber.value = year;
+        this.displays.scenarioYear.innerText = Math.floor(year);
+
+        if (this.scenario.isFinished(year)) {
+            this.stopScenario();
+            this.persistState();
+        }
+    }
+
+    stopScenario() {
+        this.scenario = null;
+        this.scenarioName = '';
+        this.scenarioSelect.value = '';
+        this.setControlsLocked(false);
+    }
+
+    /**
+     * While a scenario plays, the sliders its timeline drives are locked;
+     * the others stay under the student's control.
+     */
+    setControlsLocked(locked) {
+        const driven = locked ? this.scenario.keys : [];
+        Object.keys(this.inputs).forEach(key => {
+            this.inputs[key].disabled = driven.includes(key);
+        });
+        // CO2 stays a readout while the carbon cycle drives it, albedo unless overridden
+        if (!driven.includes('co2')) this.inputs.co2.disabled = this.model.carbonCycle;
+        this.inputs.albedo.disabled = !this.model.albedoOverride;
+
+        this.carbonCycleToggle.disabled = locked;
+        this.scenarioScrubber.disabled = !locked;
+        document.querySelectorAll('.preset-pill').forEach(btn => {
+            btn.disabled = locked;
         });
     }
 
     startLoop() {
-        // Main Logic Loop (approx 30fps for Physics/UI updates)
-        setInterval(() => {
-            const stats = this.model.step(0.5); // dt = 0.5s per frame
+        // Fixed-timestep clock: 30 steps of 0.2 model years per real second at 1x
+        // (~6 years per second). Physics runs per step, drawing once per frame.
+        this.clock = new SimulationClock({
+            dt: 0.2,
+            stepsPerSecond: 30,
+            onStep: (dt) => this.stepSimulation(dt),
+            onFrame: () => this.renderFrame()
+        });
+        this.clock.start();
+    }
+
+    stepSimulation(dt) {
+        // A replay applies what was recorded before this step, and ends where the recording did
+        if (this.replay) {
+            this.replay.due().forEach(event => this.applyEvent(event));
+            if (this.replay.finished) {
+                this.finishReplay();
+                return;
+            }
+        }
+
+        // Scenario playback drives the parameters from its timeline
+        if (this.scenario) this.updateScenario();
+
+        this.advance(dt);
+
+        if (this.recorder) this.recorder.tick();
+        if (this.replay) this.replay.tick();
+    }
+
+    /**
+     * Steps the model (and control) once and records the result.
+     */
+    advance(dt) {
+        // Control runs on the same clock as the experiment
+        let controlStats = null;
+        if (this.control) {
+            this.control.time = this.model.time;
+            controlStats = this.control.step(dt);
+        }
+
+        const stats = this.model.step(dt);
+        if (this.scenarioName === 'hindcast') this.hindcast.record(stats.time, stats.temp);
+
+        this.graphs.sample(stats, controlStats);
+        this.history.record(stats, this.model.getParams());
+
+        this.lastStats = stats;
+        this.lastControlStats = controlStats;
+    }
+
+    renderFrame() {
+        const stats = this.lastStats;
+        if (stats) {
+            const controlStats = this.lastControlStats;
 
             // Update UI
-            this.updateUI(stats);
+            this.updateUI(stats, this.currentDiagnostics(), controlStats);
 
             // Update 3D Scene
+            const showControl = this.globeShowsControl && controlStats;
+            const globeModel = showControl ? this.control : this.model;
+            const globeStats = showControl ? controlStats : stats;
+            const anomaly = globeStats.temp - this.referenceTemperatureOf(globeModel);
+            const seaLevel = globeStats.seaLevel;
             this.scene.updateState({
-                temp: stats.temp,
-                co2: this.model.co2,
-                forest: this.model.forestCover
+                temp: globeStats.temp,
+                co2: globeModel.co2,
+                forest: globeModel.forestCover,
+                // Only drive the caps from the model when ice actually feeds back
+                iceFraction: globeModel.iceAlbedoFeedback ? globeStats.iceFraction : undefined,
+                iceLatitude: globeStats.iceLatitude,
+                anomaly,
+                seaLevel
             });
+            if (this.globeLayer !== 'none') this.updateGlobeLegend(anomaly, seaLevel);
 
-            // Update Graphs (Throttle?)
-            // let's update graphs every frame for smoothness in this demo
             this.graphs.update(stats);
+            if (this.hindcastShown) this.updateHindcastStatus();
+            if (this.recorder || this.replay) this.updateSessionStatus();
+        }
+
+        this.scene.render();
+    }
+
+    /**
+     * Diagnostics for the stats panel. The equilibrium and sensitivity take up to three
+     * equilibrium solves, so they are kept until the parameters change; with ice feedback
+     * or latitude bands also until the temperature moves by half a degree, as the
+     * equilibrium then depends on which side of a tipping point the run is.
+     * Pipeline warming and forcing follow the run and are updated every time.
+     */
+    currentDiagnostics() {
+        const model = this.model;
+        const params = model.getParams();
+        const branch = params.iceFeedback || params.latitudeModel ? Math.round(model.temperature * 2) : 0;
+        const key = JSON.stringify({ ...params, branch });
+        const now = performance.now();
+        if (!this.diagnostics || (key !== this.diagnosticsKey && now - this.diagnosticsTime >= DIAGNOSTICS_INTERVAL)) {
+            this.diagnostics = model.getDiagnostics();
+            this.diagnosticsKey = key;
+            this.diagnosticsTime = now;
+        }
+
+        const { equilibriumTemp, climateSensitivity } = this.diagnostics;
+        return {
+            equilibriumTemp,
+            pipelineWarming: equilibriumTemp - model.temperature,
+            forcing: model.getTotalForcing() + model.getForcings().solar,
+            climateSensitivity
+        };
+    }
+
+    /**
+     * Shows a data layer on the globe ('none', 'anomaly' or 'sealevel') with its legend.
+     */
+    setGlobeLayer(layer) {
+        this.globeLayer = layer;
+        this.scene.setOverlay(layer);
+        this.globeLegend.hidden = layer === 'none';
+        this.globeLegend.querySelectorAll('.globe-legend-layer').forEach(el => {
+            el.hidden = el.dataset.layer !== layer;
+        });
+    }
+
+    updateGlobeLegend(anomaly, seaLevel) {
+        this.displays.globeReadout.innerText = this.globeLayer === 'anomaly'
+            ? `${this.t.legend_global}: ${this.format.signed(anomaly, 1)} °C`
+            : `${this.t.legend_sea_level}: ${this.format.signed(seaLevel, 2)} m`;
+    }
+
+    /**
+     * Pre-industrial temperature the globe's anomaly is measured from: the equilibrium
+     * with the pre-industrial preset (albedo from its land cover), under the same
+     * model switches as the given model.
+     */
+    referenceTemperatureOf(model) {
+        const { iceFeedback, latitudeModel } = model.getParams();
+        const key = `${iceFeedback}-${latitudeModel}`;
+        if (!this.referenceTemps.has(key)) {
+            const preIndustrial = DEFAULT_PRESETS.find(preset => preset.id === 'pre-industrial').params;
+            const reference = createModel({ ...preIndustrial, iceFeedback, latitudeModel });
+            this.referenceTemps.set(key, reference.solveEquilibrium());
+        }
+        return this.referenceTemps.get(key);
+    }
+
+    updateClockControls() {
+        const running = this.clock.running;
+        this.clockControls.play.textContent = running ? '⏸' : '▶';
+        this.clockControls.play.title = running ? this.t.clock_pause : this.t.clock_play;
+    }
+
+    /**
+     * Adds a user action to the session being recorded, if any.
+     */
+    record(type, details) {
+        if (this.recorder) this.recorder.record(type, details);
+    }
+
+    /**
+     * Starts recording. The recording covers a whole run, so the run restarts first.
+     */
+    startRecording() {
+        this.stopReplay();
+        this.resetSimulation();
+        this.recorder = new SessionRecorder({
+            state: this.getState(),
+            comparison: { enabled: Boolean(this.control), preset: this.controlPresetSelect.value },
+            globe: { source: this.globeSourceSelect.value, layer: this.globeLayer },
+            speed: this.clock.speed,
+            model: this.model.snapshot(),
+            control: this.control ? this.control.snapshot() : null
+        }, this.clock.dt);
+        this.updateSessionControls();
+    }
+
+    stopRecording() {
+        if (!this.recorder) return;
+        this.session = this.recorder.finish();
+        this.recorder = null;
+        this.updateSessionControls();
+    }
+
+    /**
+     * Replays a session on a fresh model: sets everything up as it was when the
+     * recording started, then applies each action before the step it came before.
+     */
+    async startReplay(session) {
+        this.stopRecording();
+        this.stopReplay();
+        this.clock.pause();
+
+        const { state, comparison, globe, speed, model, control } = session.start;
+        this.model = new ClimateModel();
+        const { scenario, ...setup } = state;
+        this.applyState(setup);
+        if (scenario) {
+            await this.hindcastReady; // The hindcast needs its observations
+            this.scenarioSelect.value = scenario;
+            this.startScenario(scenario);
+        }
+
+        this.controlPresetSelect.value = comparison.preset;
+        this.comparisonToggle.checked = comparison.enabled;
+        this.setComparison(comparison.enabled);
+        this.initialState = model;
+        this.controlInitialState = control;
+        this.resetSimulation();
+
+        this.applyEvent({ type: 'globe', ...globe });
+        this.setClockSpeed(speed);
+
+        this.replay = new SessionPlayer(session);
+        this.clock.play();
+        this.updateClockControls();
+        this.updateSessionControls();
+    }
+
+    stopReplay() {
+        if (!this.replay) return;
+        this.replay = null;
+        this.updateSessionControls();
+    }
+
+    finishReplay() {
+        this.replay = null;
+        this.clock.pause();
+        this.updateClockControls();
+        this.updateSessionControls();
+        this.displays.sessionStatus.innerText = this.t.session_replay_done;
+    }
+
+    /**
+     * Applies a recorded action the way its control does.
+     */
+    applyEvent(event) {
+        switch (event.type) {
+            case 'input':
+                this.inputs[event.key].value = event.value;
+                this.handleInput(event.key, event.value);
+                break;
+            case 'preset':
+                this.loadPreset(event.id);
+                break;
+            case 'lang':
+                this.setLanguage(event.lang);
+                break;
+            case 'clock':
+                // Pausing and stepping only change when the steps come, which the replay keeps
+                if (event.action === 'reset') this.resetSimulation();
+                if (event.action === 'speed') this.setClockSpeed(event.speed);
+                break;
+            case 'toggle':
+                this.setToggle(event.key, event.value);
+                break;
+            case 'eruption':
+                this.model.addEruption(event.size);
+                break;
+            case 'scenario':
+                this.scenarioSelect.value = event.name;
+                if (event.name) this.startScenario(event.name);
+                else this.stopScenario();
+                break;
+            case 'seek':
+                this.scenarioScrubber.value = event.year;
+                this.seekScenario(event.year);
+                break;
+            case 'comparison':
+                this.controlPresetSelect.value = event.preset;
+                this.comparisonToggle.checked = event.enabled;
+                this.setComparison(event.enabled);
+                break;
+            case 'globe':
+                if (event.source) {
+                    this.globeSourceSelect.value = event.source;
+                    this.globeShowsControl = event.source === 'control' && Boolean(this.control);
+                }
+                if (event.layer) {
+                    this.globeLayerSelect.value = event.layer;
+                    this.setGlobeLayer(event.layer);
+                }
+                break;
+            case 'view':
+                this.switchView(event.target);
+                break;
+            case 'setup':
+                this.applyLessonSetup(event);
+                break;
+            case 'state':
+                this.applyState(event.state);
+                break;
+        }
+        this.persistState();
+    }
+
+    setToggle(key, enabled) {
+        const toggles = {
+            albedoOverride: [this.albedoOverrideToggle, () => this.setAlbedoOverride(enabled)],
+            iceFeedback: [this.iceFeedbackToggle, () => this.setIceFeedback(enabled)],
+            latitudeModel: [this.latitudeToggle, () => this.setLatitudeModel(enabled)],
+            solarCycle: [this.solarCycleToggle, () => this.setSolarCycle(enabled)],
+            carbonCycle: [this.carbonCycleToggle, () => this.setCarbonCycle(enabled)]
+        };
+        const [toggle, apply] = toggles[key];
+        toggle.checked = enabled;
+        apply();
+    }
 
-        }, 33);
+    setClockSpeed(speed) {
+        this.clockControls.speed.value = speed;
+        this.clock.setSpeed(speed);
+    }
+
+    async importSession(file) {
+        try {
+            this.session = parseSession(await file.text());
+            this.updateSessionControls();
+        } catch (err) {
+            console.error('Session import failed', err);
+            this.displays.sessionStatus.innerText = this.t.session_import_error;
+        }
+    }
+
+    updateSessionControls() {
+        const { record, replay, export: save } = this.sessionControls;
+        const recording = Boolean(this.recorder);
+        record.classList.toggle('recording', recording);
+        record.textContent = recording ? '⏹' : '⏺';
+        record.title = recording ? this.t.session_stop : this.t.session_record;
+
+        replay.innerText = this.replay ? this.t.session_stop_replay : this.t.session_replay;
+        replay.disabled = recording || !this.session;
+        save.disabled = recording || !this.session;
+        this.updateSessionStatus();
+    }
+
+    updateSessionStatus() {
+        let status = '';
+        if (this.recorder) {
+            status = this.t.session_recording.replace('{n}', this.recorder.events.length);
+        } else if (this.replay) {
+            status = this.t.session_replaying.replace('{percent}', this.format.number(this.replay.progress() * 100));
+        } else if (this.session) {
+            status = this.t.session_ready
+                .replace('{n}', this.session.events.length)
+                .replace('{years}', this.format.number(this.session.steps * this.session.dt, 1));
+        }
+        this.displays.sessionStatus.innerText = status;
+    }
+
+    /**
+     * Returns the model (and control) to where the run started. Parameters
+     * stay as they are; a playing scenario restarts from its first year.
+     */
+    resetSimulation() {
+        this.model.restore(this.initialState);
+        if (this.control) this.control.restore(this.controlInitialState);
+
+        this.history.clear();
+        this.graphs.reset();
+        this.lastStats = null;
+        this.lastControlStats = null;
 
-        // Start 3D Render Loop
-        this.scene.animate();
+        if (this.scenario) this.seekScenario(this.scenario.startYear);
     }
 
-    updateUI(stats) {
-        this.displays.temp.innerText = stats.temp.toFixed(1);
+    updateUI(stats, diagnostics, controlStats) {
+        const { number, signed } = this.format;
+        this.displays.temp.innerText = number(stats.temp, 1);
+        this.displays.seaLevel.innerText = signed(stats.seaLevel, 2);
+        this.displays.clockYear.innerText = Math.floor(stats.time);
 
-        const balance = stats.incoming - stats.reflected - stats.outgoing;
+        if (controlStats) {
+            const difference = stats.temp - controlStats.temp;
+            this.displays.compare.innerText = signed(difference, 1);
+        }
+
+        // Where the planet is heading
+        const pipeline = diagnostics.pipelineWarming;
+        this.displays.equilibrium.innerText = number(diagnostics.equilibriumTemp, 1);
+        this.displays.pipeline.innerText = signed(pipeline, 1);
+        this.displays.forcing.innerText = number(diagnostics.forcing, 2);
+        this.displays.sensitivity.innerText = number(diagnostics.climateSensitivity, 1);
+
+        // Same net flux the model integrates (absorbed - outgoing)
+        const balance = stats.netEnergy;
         // Small epsilon check
-        const balanceDisplay = Math.abs(balance) < 0.1 ? "0.0" : balance.toFixed(1);
+        const balanceDisplay = number(Math.abs(balance) < 0.1 ? 0 : balance, 1);
         this.displays.balance.innerText = balanceDisplay;
 
         // Color stats based on danger
@@ -187,14 +1734,45 @@ class App {
         else if (stats.temp < 12) this.displays.temp.style.color = '#38bdf8'; // Blue
         else this.displays.temp.style.color = '#f1f5f9'; // White
 
-        // Flow Diagram
-        this.displays.flowIn.innerText = stats.incoming.toFixed(0);
-        this.displays.flowReflected.innerText = stats.reflected.toFixed(0);
-        this.displays.flowOut.innerText = stats.outgoing.toFixed(0);
+        // Flow Diagram (only drawn while the Data view is open)
+        if (this.view === 'view-data') {
+            this.flowDiagram.update(stats.budget);
+            Object.keys(this.displays.flow).forEach(key => {
+                this.displays.flow[key].innerText = number(stats.budget[key]);
+            });
+        }
+
+        // Land cover: the albedo slider follows it unless overridden
+        if (!this.model.albedoOverride) {
+            const albedo = this.model.getBaseAlbedo();
+            this.inputs.albedo.value = albedo;
+            this.displays.albedo.innerText = number(albedo, 2);
+        }
+        this.displays.grassland.innerText = number(this.model.getLandCover().grassland);
+
+        this.displays.ice.innerText = number(stats.iceFraction * 100);
+        if (stats.iceLatitude !== undefined) this.displays.iceLine.innerText = number(stats.iceLatitude);
+
+        if (this.model.carbonCycle) {
+            this.inputs.co2.value = stats.co2;
+            this.displays.co2.innerText = number(stats.co2);
+            this.displays.oceanSink.innerText = number(stats.oceanSink, 1);
+            this.displays.landSink.innerText = number(stats.landSink, 1);
+        }
     }
 }
 
-// Start App
+// Start App once the language bundles are in
 window.addEventListener('DOMContentLoaded', () => {
-    new App();
+    loadTranslations()
+        .then(translations => new App(translations))
+        .catch(err => console.error('Could not start: language bundles unavailable', err));
 });
+
+// Offline support: the service worker keeps a copy of the app for the next visit
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js')
+            .catch(err => console.warn('Offline mode unavailable', err));
+    });
+}
@@ -0,0 +1,184 @@
+/**
+ * Presets Module
+ * Presets as data: built-in ones plus user presets kept in localStorage.
+ * Packs of presets can be exported/imported as JSON to share curricula.
+ *
+ * Preset shape:
+ *   { id, labels: { en, id, ... }, params: { co2, ch4, n2o, aerosols, albedo, solar, forest, desert, landIce }, description: { en, id, ... } }
+ *   albedo is optional: a preset that has one sets the albedo directly (override on),
+ *   one without leaves it to the land cover.
+ */
+
+const PARAM_KEYS = ['co2', 'ch4', 'n2o', 'aerosols', 'albedo', 'solar', 'forest', 'desert', 'landIce', 'emissions'];
+
+export const DEFAULT_PRESETS = [
+    {
+        id: 'pre-industrial',
+        labels: { en: 'Pre-Industrial', id: 'Pra-Industri', es: 'Preindustrial', ms: 'Praindustri' },
+        params: { co2: 280, ch4: 722, n2o: 270, aerosols: 0, solar: 1361, forest: 50, desert: 15, landIce: 11 },
+        description: {
+            en: 'Around 1850, before large-scale fossil fuel use.',
+            id: 'Sekitar tahun 1850, sebelum penggunaan bahan bakar fosil besar-besaran.',
+            es: 'Hacia 1850, antes del uso masivo de combustibles fósiles.',
+            ms: 'Sekitar tahun 1850, sebelum penggunaan bahan api fosil secara besar-besaran.'
+        }
+    },
+    {
+        id: 'modern',
+        labels: { en: 'Modern Day', id: 'Zaman Modern', es: 'Actualidad', ms: 'Zaman Moden' },
+        params: { co2: 420, ch4: 1900, n2o: 332, aerosols: 100, solar: 1361, forest: 30, desert: 20, landIce: 10 },
+        description: {
+            en: 'Roughly today\'s atmosphere and land cover.',
+            id: 'Kurang lebih atmosfer dan tutupan lahan saat ini.',
+            es: 'Aproximadamente la atmósfera y la cobertura del suelo actuales.',
+            ms: 'Lebih kurang atmosfera dan litupan tanah hari ini.'
+        }
+    },
+    {
+        id: 'extreme',
+        labels: { en: 'Extreme Warming', id: 'Pemanasan Ekstrem', es: 'Calentamiento extremo', ms: 'Pemanasan Melampau' },
+        params: { co2: 600, ch4: 2800, n2o: 380, aerosols: 50, solar: 1365, forest: 10, desert: 35, landIce: 4 },
+        description: {
+            en: 'High CO₂, little forest and less reflective ice.',
+            id: 'CO₂ tinggi, sedikit hutan dan es yang kurang memantulkan.',
+            es: 'Mucho CO₂, poco bosque y hielo que refleja menos.',
+            ms: 'CO₂ tinggi, sedikit hutan dan ais yang kurang memantul.'
+        }
+    }
+];
+
+/**
+ * Label in the requested language, falling back to English, then to any label.
+ */
+export function presetLabel(preset, lang) {
+    const labels = preset.labels || {};
+    return labels[lang] || labels.en || Object.values(labels)[0] || preset.id;
+}
+
+export function presetDescription(preset, lang) {
+    const description = preset.description || {};
+    return description[lang] || description.en || '';
+}
+
+export class PresetLibrary {
+    constructor(storageKey = 'climate-lab-presets') {
+        this.storageKey = storageKey;
+        this.builtIn = DEFAULT_PRESETS;
+    }
+
+    list() {
+        return [...this.builtIn, ...this.userPresets()];
+    }
+
+    get(id) {
+        return this.list().find(preset => preset.id === id) || null;
+    }
+
+    isUserPreset(id) {
+        return this.userPresets().some(preset => preset.id === id);
+    }
+
+    userPresets() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (err) {
+            console.warn('Could not read user presets', err);
+            return [];
+        }
+    }
+
+    /**
+     * Creates a user preset, or replaces the user preset with the same id (editing).
+     * A preset without an id gets a new one, so a name already in use is not overwritten.
+     * Built-in presets cannot be overwritten.
+     */
+    save(preset) {
+        const valid = PresetLibrary.validate(preset);
+        if (!valid.id) valid.id = this.uniqueId(presetLabel(valid, 'en'));
+        if (this.builtIn.some(p => p.id === valid.id)) {
+            throw new Error(`Preset "${valid.id}" is built in and cannot be changed`);
+        }
+        const presets = this.userPresets().filter(p => p.id !== valid.id);
+        presets.push(valid);
+        this.write(presets);
+        return valid;
+    }
+
+    /**
+     * A free id for a new user preset: user-<label>, numbered if that is taken.
+     */
+    uniqueId(label) {
+        const taken = new Set(this.list().map(preset => preset.id));
+        const base = `user-${slugify(label)}`;
+        let id = base;
+        for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+        return id;
+    }
+
+    remove(id) {
+        this.write(this.userPresets().filter(preset => preset.id !== id));
+    }
+
+    /**
+     * User presets as a shareable JSON pack.
+     */
+    exportPack() {
+        return JSON.stringify({ presets: this.userPresets() }, null, 2);
+    }
+
+    /**
+     * Adds every preset from a pack (object with a presets array, or a bare array).
+     * Throws before saving anything if one of them is invalid.
+     * A preset whose id is already taken (built in, saved before or earlier in the
+     * pack) is given a new id, so importing never replaces an existing preset.
+     */
+    importPack(text) {
+        const data = JSON.parse(text);
+        const incoming = Array.isArray(data) ? data : data.presets;
+        if (!Array.isArray(incoming)) throw new Error('Preset pack has no "presets" list');
+
+        const presets = incoming.map(preset => PresetLibrary.validate(preset));
+        presets.forEach(preset => {
+            if (preset.id && this.get(preset.id)) preset.id = this.uniqueId(presetLabel(preset, 'en'));
+            this.save(preset);
+        });
+        return presets.length;
+    }
+
+    write(presets) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(presets));
+        } catch (err) {
+            console.warn('Could not save user presets', err);
+        }
+    }
+
+    /**
+     * Normalises a preset and checks it has a label and at least one numeric parameter.
+     */
+    static validate(preset) {
+        if (!preset || typeof preset !== 'object') throw new Error('Preset must be an object');
+
+        const labels = typeof preset.labels === 'object' && preset.labels ? { ...preset.labels } : {};
+        if (typeof preset.name === 'string') labels.en = labels.en || preset.name;
+        if (!Object.values(labels).some(label => typeof label === 'string' && label.trim())) {
+            throw new Error('Preset needs at least one label');
+        }
+
+        const params = {};
+        PARAM_KEYS.forEach(key => {
+            const value = Number(preset.params && preset.params[key]);
+            if (preset.params && preset.params[key] !== undefined && Number.isFinite(value)) params[key] = value;
+        });
+        if (Object.keys(params).length === 0) throw new Error('Preset needs at least one parameter value');
+
+        const id = preset.id ? String(preset.id) : null; // save() assigns one
+        const description = typeof preset.description === 'object' && preset.description ? preset.description : {};
+
+        return { id, labels, params, description };
+    }
+}
+
+function slugify(text) {
+    return text.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || String(Date.now());
+}
@@ -0,0 +1,122 @@
+/**
+ * Recorder Module
+ * Records a session as a log of the student's actions. Each event is stamped with
+ * the number of simulation steps taken before it (and the wall-clock time since the
+ * recording started), so a replay from the same starting state applies every action
+ * before the same step and reproduces the run exactly, at any frame rate or speed.
+ *
+ * Session shape:
+ *   { version, recordedAt, dt, steps, start, events: [event, ...] }
+ *   start is whatever the app needs to set itself up again (parameters, model state, ...).
+ * Event shape:
+ *   { step, at, type, ...details }   at: ms since the recording started
+ */
+
+export const SESSION_VERSION = 1;
+
+export const EVENT_TYPES = [
+    'input', // { key, value } slider moved
+    'preset', // { id } preset clicked
+    'lang', // { lang } language changed
+    'clock', // { action: 'play' | 'pause' | 'step' | 'reset' | 'speed', speed }
+    'toggle', // { key, value } model switch (ice feedback, carbon cycle, ...)
+    'eruption', // { size }
+    'scenario', // { name } started, '' to stop
+    'seek', // { year } scenario timeline dragged
+    'comparison', // { enabled, preset }
+    'globe', // { source } or { layer }
+    'view', // { target }
+    'setup', // { params, spinUp } lesson step set the model up
+    'state' // { state } saved experiment opened
+];
+
+export class SessionRecorder {
+    constructor(start, dt) {
+        this.start = start;
+        this.dt = dt; // Model years per step, so the length of the run can be shown
+        this.events = [];
+        this.steps = 0;
+        this.startTime = performance.now();
+    }
+
+    record(type, details = {}) {
+        this.events.push({ step: this.steps, at: Math.round(performance.now() - this.startTime), type, ...details });
+    }
+
+    /**
+     * Counts one simulation step.
+     */
+    tick() {
+        this.steps++;
+    }
+
+    finish() {
+        return {
+            version: SESSION_VERSION,
+            recordedAt: new Date().toISOString(),
+            dt: this.dt,
+            steps: this.steps,
+            start: this.start,
+            events: this.events
+        };
+    }
+}
+
+/**
+ * Walks through a recorded session step by step.
+ */
+export class SessionPlayer {
+    constructor(session) {
+        this.session = session;
+        this.steps = 0;
+        this.nextEvent = 0;
+    }
+
+    /**
+     * Events to apply before the next step, in recorded order.
+     */
+    due() {
+        const events = this.session.events;
+        const due = [];
+        while (this.nextEvent < events.length && events[this.nextEvent].step <= this.steps) {
+            due.push(events[this.nextEvent++]);
+        }
+        return due;
+    }
+
+    tick() {
+        this.steps++;
+    }
+
+    /**
+     * True once every recorded step has been taken.
+     */
+    get finished() {
+        return this.steps >= this.session.steps;
+    }
+
+    /**
+     * Fraction of the recorded steps replayed so far.
+     */
+    progress() {
+        return this.session.steps > 0 ? Math.min(1, this.steps / this.session.steps) : 1;
+    }
+}
+
+/**
+ * Reads a saved session (JSON text). Throws if it is not a recording this version can replay.
+ */
+export function parseSession(text) {
+    const session = JSON.parse(text);
+    if (!session || session.version !== SESSION_VERSION) throw new Error('Not a session recording');
+    if (!session.start || !Number.isInteger(session.steps) || !Array.isArray(session.events)) {
+        throw new Error('Incomplete session recording');
+    }
+    session.events.forEach((event, i) => {
+        const outOfOrder = i > 0 && event.step < session.events[i - 1].step;
+        if (!EVENT_TYPES.includes(event.type) || !Number.isInteger(event.step) || outOfOrder) {
+            throw new Error(`Event ${i + 1} of the recording is not valid`);
+        }
+    });
+    return session;
+}
@@ -0,0 +1,122 @@
+/**
+ * Runner Module
+ * Headless simulation runs: no DOM and no timers, so it works the same
+ * in the browser and in Node (e.g. for batch runs or physics checks).
+ *
+ *   import { runSimulation } from './runner.js';
+ *   const run = runSimulation({ co2: 560 }, { untilEquilibrium: true });
+ *   console.log(run.final.temp, run.series.length);
+ *
+ * The physics regression tests in test/ use it too (npm test).
+ */
+
+import { ClimateModel } from './simulation.js';
+import { scenarios, ScenarioPlayer } from './scenarios.js';
+
+/**
+ * Builds a model from a parameter object (same keys as ClimateModel.updateParams).
+ * Constants overrides model properties directly, e.g. { baseEmissivity: 0.6 }.
+ */
+export function createModel(params = {}, constants = {}) {
+    const model = new ClimateModel();
+    Object.assign(model, constants);
+    model.updateParams(params);
+    return model;
+}
+
+/**
+ * Equilibrium temperature across a range of one parameter (co2, albedo, solar, forest).
+ *
+ * Each point starts from the previous point's equilibrium, so the sweep follows
+ * one branch of solutions. With ice-albedo feedback it is repeated from max back
+ * to min: where the two directions disagree, the climate shows hysteresis.
+ */
+export function sweepEquilibrium(params, key, min, max, options = {}) {
+    // Sweeping the albedo only means something when it is set directly
+    const model = createModel(key === 'albedo' ? { ...params, albedoOverride: true } : params);
+    const { steps = 60, bothDirections = model.iceAlbedoFeedback } = options;
+
+    const values = [];
+    for (let i = 0; i <= steps; i++) values.push(min + (max - min) * (i / steps));
+
+    let temp = model.temperature;
+    const trace = (sequence) => sequence.map(value => {
+        model.updateParams({ [key]: value });
+        temp = model.solveEquilibrium(temp);
+        return temp;
+    });
+
+    const up = trace(values);
+    const down = bothDirections ? trace([...values].reverse()).reverse() : null;
+
+    return { key, values, up, down };
+}
+
+/**
+ * Runs a model and returns every step of its time series,
+ * plus the temperature it started from (startTemp).
+ *
+ * Options:
+ *   years            - Model years to run (default 100, or the scenario length)
+ *   dt               - Step size in years (default 0.2)
+ *   untilEquilibrium - Stop early once the energy balance has settled
+ *   tolerance        - W/m2; settled when both the top-of-atmosphere imbalance
+ *                      and the heat flow into the deep ocean are below this
+ *   maxYears         - Safety limit when running to equilibrium (default 10000)
+ *   spinUp           - Start from equilibrium with the initial parameters
+ *   scenario         - Name in `scenarios` or a keyframe object; drives the
+ *                      parameters over time and sets the clock to its start year
+ *   constants        - Model constants to override (see createModel)
+ */
+export function runSimulation(params = {}, options = {}) {
+    const {
+        years,
+        dt = 0.2,
+        untilEquilibrium = false,
+        tolerance = 0.01,
+        maxYears = 10000,
+        spinUp = false,
+        scenario = null,
+        constants = {}
+    } = options;
+
+    const model = createModel(params, constants);
+
+    let player = null;
+    if (scenario) {
+        player = new ScenarioPlayer(typeof scenario === 'string' ? scenarios[scenario] : scenario);
+        model.updateParams(player.valuesAt(player.startYear));
+    }
+    if (spinUp || player) model.spinUp();
+    if (player) model.time = player.startYear;
+
+    const startTime = model.time;
+    const startTemp = model.temperature;
+    const defaultYears = player ? player.endYear - player.startYear : 100;
+    const duration = untilEquilibrium ? maxYears : (years ?? defaultYears);
+    const series = [];
+    let converged = false;
+
+    // Step count instead of accumulated time, so float drift cannot add a step
+    const steps = Math.round(duration / dt);
+    for (let i = 0; i < steps; i++) {
+        if (player) model.updateParams(player.valuesAt(model.time));
+
+        const stats = model.step(dt);
+        series.push(stats);
+
+        if (untilEquilibrium && Math.abs(stats.netEnergy) < tolerance && Math.abs(stats.oceanUptake) < tolerance) {
+            converged = true;
+            break;
+        }
+    }
+
+    return {
+        series,
+        final: series[series.length - 1],
+        startTemp,
+        years: model.time - startTime,
+        converged,
+        model
+    };
+}
@@ -0,0 +1,103 @@
+/**
+ * Scenario Module
+ * Time-varying pathways (1850-2100) that drive the model while it runs.
+ * CO2 values loosely follow the historical record and the SSP concentration pathways.
+ * CH4/N2O are in ppb; aerosols in % of the present-day load.
+ */
+
+// Keyframe values that are interpolated and passed to the model
+const PARAM_KEYS = ['co2', 'ch4', 'n2o', 'aerosols', 'solar', 'forest'];
+
+// Shared historical part of every pathway
+const HISTORICAL = [
+    { year: 1850, co2: 285, ch4: 791, n2o: 273, aerosols: 10, solar: 1361, forest: 45 },
+    { year: 1900, co2: 296, ch4: 875, n2o: 280, aerosols: 20, solar: 1361, forest: 42 },
+    { year: 1950, co2: 311, ch4: 1150, n2o: 289, aerosols: 50, solar: 1361, forest: 38 },
+    { year: 1980, co2: 339, ch4: 1570, n2o: 301, aerosols: 100, solar: 1361, forest: 34 },
+    { year: 2000, co2: 369, ch4: 1750, n2o: 316, aerosols: 100, solar: 1361, forest: 32 },
+    { year: 2020, co2: 413, ch4: 1870, n2o: 333, aerosols: 95, solar: 1361, forest: 31 }
+];
+
+export const scenarios = {
+    low: {
+        labelKey: 'scenario_low', // SSP1-2.6: emissions fall quickly, reforestation
+        keyframes: [
+            ...HISTORICAL,
+            { year: 2030, co2: 440, ch4: 1750, n2o: 336, aerosols: 70, solar: 1361, forest: 31 },
+            { year: 2050, co2: 455, ch4: 1450, n2o: 340, aerosols: 40, solar: 1361, forest: 33 },
+            { year: 2070, co2: 452, ch4: 1300, n2o: 341, aerosols: 30, solar: 1361, forest: 34 },
+            { year: 2100, co2: 446, ch4: 1150, n2o: 340, aerosols: 20, solar: 1361, forest: 35 }
+        ]
+    },
+    middle: {
+        labelKey: 'scenario_middle', // SSP2-4.5: current policies continue
+        keyframes: [
+            ...HISTORICAL,
+            { year: 2030, co2: 446, ch4: 1950, n2o: 340, aerosols: 85, solar: 1361, forest: 30 },
+            { year: 2050, co2: 508, ch4: 2020, n2o: 350, aerosols: 65, solar: 1361, forest: 30 },
+            { year: 2070, co2: 560, ch4: 2030, n2o: 358, aerosols: 50, solar: 1361, forest: 29 },
+            { year: 2100, co2: 603, ch4: 1950, n2o: 368, aerosols: 35, solar: 1361, forest: 29 }
+        ]
+    },
+    high: {
+        labelKey: 'scenario_high', // SSP5-8.5: fossil-fuelled growth
+        keyframes: [
+            ...HISTORICAL,
+            { year: 2030, co2: 449, ch4: 2050, n2o: 340, aerosols: 80, solar: 1361, forest: 30 },
+            { year: 2050, co2: 563, ch4: 2450, n2o: 352, aerosols: 55, solar: 1361, forest: 28 },
+            { year: 2070, co2: 720, ch4: 2900, n2o: 365, aerosols: 40, solar: 1361, forest: 26 },
+            { year: 2100, co2: 1135, ch4: 3300, n2o: 390, aerosols: 25, solar: 1361, forest: 24 }
+        ]
+    }
+};
+
+export class ScenarioPlayer {
+    constructor(scenario) {
+        this.scenario = scenario;
+        this.keyframes = scenario.keyframes;
+    }
+
+    get startYear() {
+        return this.keyframes[0].year;
+    }
+
+    get endYear() {
+        return this.keyframes[this.keyframes.length - 1].year;
+    }
+
+    /**
+     * Parameters the timeline drives (those in its first keyframe).
+     */
+    get keys() {
+        return PARAM_KEYS.filter(key => this.keyframes[0][key] !== undefined);
+    }
+
+    /**
+     * Parameter values for a given year, linearly interpolated between keyframes.
+     * Years outside the timeline hold the first/last keyframe.
+     */
+    valuesAt(year) {
+        const frames = this.keyframes;
+        if (year <= this.startYear) return this.toParams(frames[0]);
+        if (year >= this.endYear) return this.toParams(frames[frames.length - 1]);
+
+        let i = 1;
+        while (frames[i].year < year) i++;
+
+        const a = frames[i - 1];
+        const b = frames[i];
+        const f = (year - a.year) / (b.year - a.year);
+        const lerp = (key) => a[key] + (b[key] - a[key]) * f;
+
+        // Keys a scenario leaves out are not returned, so they keep the student's values
+        return Object.fromEntries(this.keys.map(key => [key, lerp(key)]));
+    }
+
+    toParams(frame) {
+        return Object.fromEntries(this.keys.map(key => [key, frame[key]]));
+    }
+
+    isFinished(year) {
+        return year >= this.endYear;
+    }
+}
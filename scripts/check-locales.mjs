@@ -0,0 +1,106 @@
+/**
+ * Locale Check
+ * Compares every bundle in locales/ with the English reference and reports
+ * missing or empty keys, keys English does not have and {placeholders} that
+ * differ. Also reports keys used in index.html or the scripts that English lacks,
+ * and texts in the built-in presets and bundled lessons that lack a language.
+ * Exits with 1 if anything is missing, so a new language can be checked before it ships.
+ *
+ *   node scripts/check-locales.mjs
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_LANGUAGE, LANGUAGES, missingKeys } from '../locales.js';
+import { DEFAULT_PRESETS } from '../presets.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const localesDir = join(root, 'locales');
+
+const readBundle = (lang) => JSON.parse(readFileSync(join(localesDir, `${lang}.json`), 'utf8'));
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort().join(' ');
+
+const reference = readBundle(DEFAULT_LANGUAGE);
+let failed = false;
+
+const report = (title, items) => {
+    if (items.length === 0) return;
+    console.log(`  ${title} (${items.length}):`);
+    items.forEach(item => console.log(`    ${item}`));
+};
+
+// 1. Every bundle against English
+const bundles = readdirSync(localesDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.replace(/\.json$/, ''))
+    .filter(lang => lang !== DEFAULT_LANGUAGE);
+
+LANGUAGES.filter(lang => lang !== DEFAULT_LANGUAGE && !bundles.includes(lang)).forEach(lang => {
+    console.log(`${lang}: no bundle in locales/`);
+    failed = true;
+});
+
+bundles.forEach(lang => {
+    const bundle = readBundle(lang);
+    const missing = missingKeys(reference, bundle);
+    const extra = Object.keys(bundle).filter(key => !(key in reference));
+    const mismatched = Object.keys(reference)
+        .filter(key => typeof bundle[key] === 'string' && placeholders(bundle[key]) !== placeholders(reference[key]))
+        .map(key => `${key}: expected "${placeholders(reference[key])}", found "${placeholders(bundle[key])}"`);
+
+    const total = Object.keys(reference).length;
+    console.log(`${lang}: ${total - missing.length}/${total} keys${LANGUAGES.includes(lang) ? '' : ' (not listed in LANGUAGES)'}`);
+    report('missing or empty', missing);
+    report('not in English', extra);
+    report('placeholders differ', mismatched);
+    if (missing.length > 0 || mismatched.length > 0) failed = true;
+});
+
+// 2. Keys the page and scripts use (dynamic keys such as t[`forcing_${key}`] are not seen)
+const used = new Set();
+const html = readFileSync(join(root, 'index.html'), 'utf8');
+for (const [, key] of html.matchAll(/data-i18n="(?:\[[^\]]*\])?([\w-]+)"/g)) used.add(key);
+
+readdirSync(root).filter(file => file.endsWith('.js')).forEach(file => {
+    const source = readFileSync(join(root, file), 'utf8');
+    for (const [, key] of source.matchAll(/\bt\.([a-z][a-z0-9]*_\w+)/g)) used.add(key);
+});
+
+const undefinedKeys = [...used].filter(key => !(key in reference)).sort();
+console.log(`${DEFAULT_LANGUAGE}: ${used.size} keys used in index.html and scripts`);
+report('used but not defined', undefinedKeys);
+if (undefinedKeys.length > 0) failed = true;
+
+// 3. Texts kept with their data ({ en, id, ... } objects) in presets.js and data/lessons/
+const localizedTexts = (value, path, found = []) => {
+    if (Array.isArray(value)) {
+        value.forEach((item, i) => localizedTexts(item, `${path}[${i}]`, found));
+    } else if (value && typeof value === 'object') {
+        if (typeof value[DEFAULT_LANGUAGE] === 'string') found.push([path, value]);
+        else Object.entries(value).forEach(([key, item]) => localizedTexts(item, `${path}.${key}`, found));
+    }
+    return found;
+};
+
+const checkTexts = (source, texts) => {
+    console.log(`${source}: ${texts.length} texts`);
+    LANGUAGES.filter(lang => lang !== DEFAULT_LANGUAGE).forEach(lang => {
+        const missing = texts
+            .filter(([, text]) => typeof text[lang] !== 'string' || !text[lang].trim())
+            .map(([path]) => path);
+        report(`missing in ${lang}`, missing);
+        if (missing.length > 0) failed = true;
+    });
+};
+
+checkTexts('presets.js', localizedTexts(DEFAULT_PRESETS, 'DEFAULT_PRESETS'));
+
+const lessonsDir = join(root, 'data', 'lessons');
+const { lessons } = JSON.parse(readFileSync(join(lessonsDir, 'index.json'), 'utf8'));
+lessons.forEach(file => {
+    const lesson = JSON.parse(readFileSync(join(lessonsDir, file), 'utf8'));
+    checkTexts(`data/lessons/${file}`, localizedTexts(lesson, lesson.id || file));
+});
+
+process.exit(failed ? 1 : 0);
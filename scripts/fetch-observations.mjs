@@ -0,0 +1,132 @@
+/**
+ * Observations Fetch
+ * Rebuilds the records the hindcast runs on (data/co2.json, data/temperature.json)
+ * from their publishers, so the hindcast starts in 1850 instead of with the
+ * first Mauna Loa year:
+ *
+ *   CO2          Law Dome ice cores up to 1958, Mauna Loa annual means from 1959
+ *   Temperature  HadCRUT5 global annual anomaly from 1850
+ *
+ * Run it with a connection, then check and commit the two files (and bump
+ * CACHE_VERSION in sw.js so installed copies pick them up):
+ *
+ *   npm run fetch-observations
+ *
+ * Nothing is written unless every download parses and covers 1850 onwards.
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const START_YEAR = 1850;
+const MAUNA_LOA_START = 1959; // First full year of the Mauna Loa record; the ice cores cover the years before
+const HADCRUT_VERSION = '5.0.2.0';
+
+const SOURCES = {
+    iceCore: 'https://scrippsco2.ucsd.edu/assets/data/atmospheric/merged_ice_core_mlo_spo/merged_ice_core_yearly.csv',
+    maunaLoa: 'https://gml.noaa.gov/webdata/ccgg/trends/co2/co2_annmean_mlo.csv',
+    hadcrut: `https://www.metoffice.gov.uk/hadobs/hadcrut5/data/HadCRUT.${HADCRUT_VERSION}/analysis/diagnostics/HadCRUT.${HADCRUT_VERSION}.analysis.summary_series.global.annual.csv`
+};
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const download = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url}: ${response.status} ${response.statusText}`);
+    return response.text();
+};
+
+/**
+ * [year, value] for every line that starts with two numbers (comma or space
+ * separated); headers and comments are skipped. Fractional years are floored
+ * and values falling in the same year averaged.
+ */
+const annualRows = (text) => {
+    const years = new Map();
+    text.split(/\r?\n/).forEach(line => {
+        const [year, value] = line.trim().split(/[\s,]+/).map(Number);
+        if (!Number.isFinite(year) || !Number.isFinite(value)) return;
+        const key = Math.floor(year);
+        const values = years.get(key) || [];
+        years.set(key, [...values, value]);
+    });
+    return [...years].sort(([a], [b]) => a - b)
+        .map(([year, values]) => [year, values.reduce((sum, v) => sum + v, 0) / values.length]);
+};
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Throws unless rows run year by year from `from` to at least `to`, within [min, max].
+ */
+const checkRows = (name, rows, from, to, min, max) => {
+    rows.forEach(([year, value], i) => {
+        if (i > 0 && year !== rows[i - 1][0] + 1) throw new Error(`${name}: no value for ${rows[i - 1][0] + 1}`);
+        if (value < min || value > max) throw new Error(`${name}: ${value} in ${year} is outside ${min}-${max}`);
+    });
+    if (rows.length === 0 || rows[0][0] !== from || rows[rows.length - 1][0] < to) {
+        throw new Error(`${name}: expected ${from}-${to}, got ${rows.length ? `${rows[0][0]}-${rows[rows.length - 1][0]}` : 'no rows'}`);
+    }
+};
+
+// Same layout as the bundled files: one field per line, short arrays and each row inline
+const inline = (value) => Array.isArray(value) ? JSON.stringify(value).replace(/,/g, ', ') : JSON.stringify(value);
+const formatDataset = (dataset) => {
+    const { rows, ...meta } = dataset;
+    const fields = Object.entries(meta).map(([key, value]) => `    ${JSON.stringify(key)}: ${inline(value)}`);
+    const body = rows.map(row => `        ${inline(row)}`).join(',\n');
+    return `{\n${fields.join(',\n')},\n    "rows": [\n${body}\n    ]\n}\n`;
+};
+
+try {
+    const [iceCoreText, maunaLoaText, hadcrutText] = await Promise.all(Object.values(SOURCES).map(download));
+
+    // 1. CO2: the ice cores until Mauna Loa starts
+    const iceCore = annualRows(iceCoreText)
+        .filter(([year]) => year >= START_YEAR && year < MAUNA_LOA_START)
+        .map(([year, ppm]) => [year, round(ppm, 2)]);
+    checkRows('Law Dome', iceCore, START_YEAR, MAUNA_LOA_START - 1, 250, 350);
+    const maunaLoa = annualRows(maunaLoaText)
+        .filter(([year]) => year >= MAUNA_LOA_START)
+        .map(([year, ppm]) => [year, round(ppm, 2)]);
+    checkRows('Mauna Loa', maunaLoa, MAUNA_LOA_START, MAUNA_LOA_START, 300, 600);
+    const co2Rows = [...iceCore, ...maunaLoa];
+    const lastCo2 = co2Rows[co2Rows.length - 1][0];
+
+    // 2. Temperature
+    const temperatureRows = annualRows(hadcrutText).map(([year, anomaly]) => [year, round(anomaly, 3)]);
+    checkRows('HadCRUT5', temperatureRows, START_YEAR, lastCo2 - 1, -2, 3);
+    const lastTemperature = temperatureRows[temperatureRows.length - 1][0];
+
+    const co2 = {
+        title: `Atmospheric CO2, annual means ${START_YEAR}-${lastCo2}`,
+        label: 'Law Dome and Mauna Loa',
+        unit: 'ppm',
+        source: `Law Dome ice cores ${START_YEAR}-${MAUNA_LOA_START - 1} (Scripps merged ice-core record, ${SOURCES.iceCore}); NOAA GML Mauna Loa annual means from ${MAUNA_LOA_START} (${SOURCES.maunaLoa})`,
+        citation: 'MacFarling Meure, C., D. Etheridge, C. Trudinger, P. Steele, R. Langenfelds, T. van Ommen, A. Smith, and J. Elkins, 2006: Law Dome CO2, CH4 and N2O ice core records extended to 2000 years BP. Geophys. Res. Lett., 33, L14810, doi:10.1029/2006GL026152. Mauna Loa: Dr. Xin Lan, NOAA/GML (gml.noaa.gov/ccgg/trends/) and Dr. Ralph Keeling, Scripps Institution of Oceanography (scrippsco2.ucsd.edu/).',
+        note: `Ice-core values are the spline through the Law Dome samples, averaged per calendar year; joined to the Mauna Loa record at ${MAUNA_LOA_START}. Built by scripts/fetch-observations.mjs.`,
+        columns: ['year', 'co2'],
+        rows: co2Rows
+    };
+
+    const temperature = {
+        title: `Global mean surface temperature anomaly, ${START_YEAR}-${lastTemperature}`,
+        label: `HadCRUT${HADCRUT_VERSION.split('.')[0]}`,
+        unit: 'degC relative to 1961-1990',
+        baseline: [1961, 1990],
+        source: `Met Office Hadley Centre and Climatic Research Unit, HadCRUT.${HADCRUT_VERSION} analysis, global annual summary series, ${SOURCES.hadcrut}`,
+        citation: 'Morice, C. P., J. J. Kennedy, N. A. Rayner, J. P. Winn, E. Hogan, R. E. Killick, R. J. H. Dunn, T. J. Osborn, P. D. Jones, and I. R. Simpson, 2021: An updated assessment of near-surface temperature change from 1850: the HadCRUT5 data set. J. Geophys. Res. Atmos., 126, e2019JD032361, doi:10.1029/2019JD032361.',
+        license: 'Open Government Licence v3.0',
+        note: 'Ensemble mean of the annual global anomaly. Built by scripts/fetch-observations.mjs.',
+        columns: ['year', 'anomaly'],
+        rows: temperatureRows
+    };
+
+    await writeFile(join(root, 'data/co2.json'), formatDataset(co2));
+    await writeFile(join(root, 'data/temperature.json'), formatDataset(temperature));
+    console.log(`CO2 ${START_YEAR}-${lastCo2} (${co2Rows.length} years), temperature ${START_YEAR}-${lastTemperature} (${temperatureRows.length} years)`);
+} catch (err) {
+    console.error(`Observations not updated: ${err.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,62 @@
+/**
+ * Vendor Fetch
+ * Downloads the pinned libraries and fonts the app serves from vendor/, so
+ * the lab runs without an internet connection. The files are committed; run
+ * it after changing a version below and commit the result:
+ *
+ *   npm run fetch-vendor -- --force
+ *
+ * Files that are already there are kept; pass --force to download them again.
+ * sw.js lists the same files for the offline cache. The Earth textures are
+ * committed too, see textures/SOURCES.md.
+ */
+
+import { existsSync } from 'node:fs';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const THREE = 'https://unpkg.com/three@0.150.1';
+const CHART = 'https://cdn.jsdelivr.net/npm/chart.js@4.4.1';
+const SHIMS = 'https://unpkg.com/es-module-shims@1.6.3';
+const INTER = 'https://cdn.jsdelivr.net/npm/@fontsource/inter@5.0.18';
+
+// Local path -> source URL
+const FILES = {
+    'vendor/three/build/three.module.js': `${THREE}/build/three.module.js`,
+    'vendor/three/examples/jsm/controls/OrbitControls.js': `${THREE}/examples/jsm/controls/OrbitControls.js`,
+    'vendor/three/LICENSE': `${THREE}/LICENSE`,
+    'vendor/chart.umd.js': `${CHART}/dist/chart.umd.js`,
+    'vendor/chart.LICENSE.md': `${CHART}/LICENSE.md`,
+    'vendor/es-module-shims.js': `${SHIMS}/dist/es-module-shims.js`,
+    'vendor/es-module-shims.LICENSE': `${SHIMS}/LICENSE`,
+    'vendor/inter/LICENSE': `${INTER}/LICENSE`
+};
+[300, 400, 500, 600, 700].forEach(weight => {
+    const file = `inter-latin-${weight}-normal.woff2`;
+    FILES[`vendor/inter/${file}`] = `${INTER}/files/${file}`;
+});
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const force = process.argv.includes('--force');
+let failed = 0;
+
+for (const [path, url] of Object.entries(FILES)) {
+    const target = join(root, path);
+    if (existsSync(target) && !force) {
+        console.log(`kept        ${path}`);
+        continue;
+    }
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        await mkdir(dirname(target), { recursive: true });
+        await writeFile(target, Buffer.from(await response.arrayBuffer()));
+        console.log(`downloaded  ${path}`);
+    } catch (err) {
+        console.error(`failed      ${path} (${url}): ${err.message}`);
+        failed++;
+    }
+}
+
+process.exit(failed > 0 ? 1 : 0);
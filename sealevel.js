@@ -0,0 +1,53 @@
+/**
+ * Sea Level Module
+ * Global mean sea-level rise from thermal expansion of the warming ocean
+ * plus meltwater from glaciers and the two ice sheets, each with its own lag.
+ */
+
+export class SeaLevel {
+    constructor() {
+        // Seawater expands as it takes up heat: ~0.11 m per 10^24 J (IPCC AR6).
+        // 1 W*yr/m2 over the whole Earth is 1.6e22 J, so about 1.8 mm per W*yr/m2.
+        this.expansionPerHeat = 0.0018; // m per W*yr/m2 taken up by the ocean
+
+        // Land ice relaxes towards a long-term contribution that grows with warming
+        // above the baseline (m per C, after Levermann et al. 2013), capped at what it holds.
+        // Glaciers answer within decades; the ice sheets take millennia.
+        this.iceBodies = {
+            glaciers: { sensitivity: 0.2, timescale: 60, capacity: 0.32 },
+            greenland: { sensitivity: 0.5, timescale: 1000, capacity: 7.4 },
+            antarctica: { sensitivity: 1.2, timescale: 2000, capacity: 58 }
+        };
+
+        this.baselineTemp = 15; // Celsius, the temperature the ice is in balance with
+        this.components = { thermal: 0, glaciers: 0, greenland: 0, antarctica: 0 }; // m
+    }
+
+    /**
+     * Starts counting from zero, with the ice in balance with baselineTemp.
+     */
+    reset(baselineTemp) {
+        this.baselineTemp = baselineTemp;
+        Object.keys(this.components).forEach(key => { this.components[key] = 0; });
+    }
+
+    /**
+     * Advances by dt years. heatUptake is the net flux into the ocean (W/m2).
+     */
+    step(temp, heatUptake, dt) {
+        this.components.thermal += this.expansionPerHeat * heatUptake * dt;
+
+        const warming = temp - this.baselineTemp;
+        Object.entries(this.iceBodies).forEach(([key, body]) => {
+            const target = Math.min(body.capacity, body.sensitivity * warming);
+            this.components[key] += ((target - this.components[key]) / body.timescale) * dt;
+        });
+    }
+
+    /**
+     * Total rise (m) since the last reset.
+     */
+    total() {
+        return Object.values(this.components).reduce((sum, value) => sum + value, 0);
+    }
+}
@@ -3,21 +3,129 @@
  * Simplified logic for educational purposes.
  */
 
+import { LatitudeBands } from './latitude.js';
+import { LandSurface } from './land.js';
+import { SeaLevel } from './sealevel.js';
+
 export class ClimateModel {
     constructor() {
         // State
         this.co2 = 400; // ppm
-        this.albedo = 0.3; // 0-1
+        this.albedo = 0.3; // 0-1, only used with albedoOverride
+        this.albedoOverride = false; // Otherwise the albedo follows land cover
         this.solarIntensity = 1361; // W/m2
-        this.forestCover = 30; // %
+        this.forestCover = 30; // % of land
+        this.desertCover = 20; // % of land
+        this.landIceCover = 10; // % of land (ice sheets, glaciers, permanent snow)
+        this.ch4 = 722; // ppb
+        this.n2o = 270; // ppb
+        this.aerosols = 0; // % of present-day anthropogenic aerosol load
 
         // Derived/Physics Constants
         this.sigma = 5.67e-8; // Stefan-Boltzmann constant
         this.preIndustrialCO2 = 280;
+        this.preIndustrialCH4 = 722; // ppb
+        this.preIndustrialN2O = 270; // ppb
+
+        // Uncertain Constants (sampled by ensemble runs)
+        this.co2ForcingCoefficient = 5.35; // W/m2 per e-folding of CO2
+        this.baseEmissivity = 0.61; // Effective emissivity at pre-industrial forcing
+        this.emissivitySensitivity = 0.005; // Emissivity drop per W/m2 of forcing
+
+        // Other Forcing Agents
+        // Aerosols scatter sunlight and brighten clouds; present-day effective forcing ~ -1.1 W/m2.
+        this.presentDayAerosolForcing = -1.1; // W/m2 at 100%
+        // Volcanic eruptions put sulfate into the stratosphere, which rains out within a few years.
+        this.eruptions = []; // { time, forcing } with forcing at the peak, W/m2 (negative)
+        this.volcanicDecayTime = 1; // yr, e-folding time of stratospheric aerosol
+        // 11-year sunspot cycle, ~1 W/m2 peak to peak in total solar irradiance
+        this.solarCycle = false;
+        this.solarCycleAmplitude = 0.5; // W/m2
+        this.solarCyclePeriod = 11; // yr
+
+        // Ice-Albedo Feedback (optional)
+        // When enabled, ice cover is derived from temperature and raises the albedo.
+        this.iceAlbedoFeedback = false;
+        this.iceAlbedo = 0.62; // Albedo of snow/ice covered surface
+        this.iceTransitionTemp = -5; // Celsius, temperature at which half the planet is ice
+        this.iceTransitionWidth = 10; // Celsius, how gradual the freeze-over is
+
+        // Ocean Heat Uptake (two-layer model)
+        // Heat capacities per unit area in W*yr/m2/K, so that step() works in years.
+        // Mixed layer ~ 70 m of seawater, deep ocean ~ 1 km.
+        this.mixedLayerHeatCapacity = 8;
+        this.deepOceanHeatCapacity = 100;
+        this.oceanHeatExchange = 0.7; // W/m2/K, mixing between the two layers
+
+        // Sea Level
+        // Thermal expansion from the heat the ocean takes up, plus glacier and ice-sheet melt.
+        // Counted from the start of the run, with the ice in balance with the starting temperature.
+        this.seaLevel = new SeaLevel();
+
+        // Land Surface
+        // Land cover sets the albedo (unless overridden) and the evapotranspiration cooling.
+        this.landSurface = new LandSurface();
+
+        // Energy Budget Breakdown (diagnostic only, Kiehl & Trenberth style)
+        // Splits the model's totals into the classic budget terms; values as fractions of
+        // incoming sunlight or W/m2 at 15 C. They do not feed back into the temperature.
+        // Reflection by clouds and air comes from the land surface model (cloudAlbedo).
+        this.atmosphericAbsorption = 0.23; // Sunlight absorbed by water vapour, ozone and clouds
+        this.atmosphericWindow = 0.1; // Share of surface emission escaping straight to space
+        this.latentHeatFlux = 80; // W/m2, evaporation
+        this.latentHeatSensitivity = 0.03; // 1/K, evaporation grows with temperature
+        this.sensibleHeatFlux = 17; // W/m2, conduction and rising warm air
+
+        // Latitude Bands (optional)
+        // Replaces the single global temperature with a 1-D profile from equator to pole,
+        // so the model can say where ice forms.
+        this.latitudeResolved = false;
+        this.latitudeBands = new LatitudeBands();
+
+        // Carbon Cycle (optional)
+        // In emissions mode CO2 is no longer set directly: emitted carbon enters the
+        // atmosphere and is partly taken up by the ocean and the land biosphere.
+        this.carbonCycle = false;
+        this.emissions = 10; // GtC/yr
+        this.gtcPerPpm = 2.12; // GtC of carbon per ppm of atmospheric CO2
+        this.oceanCarbonUptake = 0.02; // 1/yr, air-sea exchange rate
+        this.oceanCarbonCapacity = 4; // Ocean excess carbon held at equilibrium, per unit atmospheric excess
+        this.landCarbonUptake = 0.015; // 1/yr, photosynthesis boost at the reference forest cover
+        this.landCarbonTurnover = 30; // yr, time for land carbon to return via respiration/decay
+        this.referenceForestCover = 30; // %
         
         // Simulation State
         this.temperature = 15.0; // Celsius (Current)
         this.targetTemperature = 15.0; // Celsius (Equilibrium)
+        this.deepOceanTemperature = 15.0; // Celsius, starts in equilibrium with the surface
+        this.time = 0; // Model years elapsed
+        this.iceFraction = this.computeIceFraction(this.temperature); // 0-1 of global area
+        this.oceanCarbon = 0; // GtC above pre-industrial
+        this.landCarbon = 0; // GtC above pre-industrial
+        this.carbonFluxes = { ocean: 0, land: 0 }; // GtC/yr taken up by each sink
+    }
+
+    /**
+     * Current slider-level parameters, in the same keys updateParams() accepts.
+     */
+    getParams() {
+        return {
+            co2: this.co2,
+            albedo: this.albedo,
+            albedoOverride: this.albedoOverride,
+            solar: this.solarIntensity,
+            forest: this.forestCover,
+            desert: this.desertCover,
+            landIce: this.landIceCover,
+            ch4: this.ch4,
+            n2o: this.n2o,
+            aerosols: this.aerosols,
+            solarCycle: this.solarCycle,
+            emissions: this.emissions,
+            carbonCycle: this.carbonCycle,
+            iceFeedback: this.iceAlbedoFeedback,
+            latitudeModel: this.latitudeResolved
+        };
     }
 
     updateParams(params) {
@@ -25,43 +133,373 @@ export class ClimateModel {
         if (params.albedo !== undefined) this.albedo = Number(params.albedo);
         if (params.solar !== undefined) this.solarIntensity = Number(params.solar);
         if (params.forest !== undefined) this.forestCover = Number(params.forest);
+        if (params.desert !== undefined) this.desertCover = Number(params.desert);
+        if (params.landIce !== undefined) this.landIceCover = Number(params.landIce);
+        if (params.albedoOverride !== undefined) this.albedoOverride = Boolean(params.albedoOverride);
+        if (params.ch4 !== undefined) this.ch4 = Number(params.ch4);
+        if (params.n2o !== undefined) this.n2o = Number(params.n2o);
+        if (params.aerosols !== undefined) this.aerosols = Number(params.aerosols);
+        if (params.solarCycle !== undefined) this.solarCycle = Boolean(params.solarCycle);
+        if (params.iceFeedback !== undefined) this.iceAlbedoFeedback = Boolean(params.iceFeedback);
+        if (params.emissions !== undefined) this.emissions = Number(params.emissions);
+        if (params.latitudeModel !== undefined) {
+            const enabled = Boolean(params.latitudeModel);
+            // Start the bands around the current global temperature
+            if (enabled && !this.latitudeResolved) this.latitudeBands.setMeanTemperature(this.temperature);
+            this.latitudeResolved = enabled;
+        }
+        if (params.carbonCycle !== undefined) {
+            const enabled = Boolean(params.carbonCycle);
+            if (enabled && !this.carbonCycle) this.initCarbonReservoirs();
+            this.carbonCycle = enabled;
+        }
+    }
+
+    /**
+     * Starts the sinks from the current CO2 level.
+     * Assumes they have taken up about half of what they would hold
+     * at equilibrium with today's atmosphere, roughly matching observed sink sizes.
+     */
+    initCarbonReservoirs() {
+        const atmosphereExcess = (this.co2 - this.preIndustrialCO2) * this.gtcPerPpm;
+        const landEquilibrium = this.landCarbonUptake * (this.forestCover / this.referenceForestCover)
+            * atmosphereExcess * this.landCarbonTurnover;
+
+        this.oceanCarbon = 0.5 * this.oceanCarbonCapacity * atmosphereExcess;
+        this.landCarbon = 0.5 * landEquilibrium;
+    }
+
+    /**
+     * Moves carbon between atmosphere, ocean and land for one step (dt in years).
+     * Land uptake scales with forest cover, so clearing forest weakens the sink.
+     */
+    stepCarbonCycle(dt) {
+        const atmosphereExcess = (this.co2 - this.preIndustrialCO2) * this.gtcPerPpm; // GtC
+
+        // Ocean absorbs until its excess is in equilibrium with the air
+        const oceanFlux = this.oceanCarbonUptake * (atmosphereExcess - this.oceanCarbon / this.oceanCarbonCapacity);
+
+        // Land: extra growth from CO2 fertilization minus respiration of stored carbon
+        const landFlux = this.landCarbonUptake * (this.forestCover / this.referenceForestCover) * atmosphereExcess
+            - this.landCarbon / this.landCarbonTurnover;
+
+        this.oceanCarbon += oceanFlux * dt;
+        this.landCarbon += landFlux * dt;
+
+        const atmosphereChange = (this.emissions - oceanFlux - landFlux) * dt; // GtC
+        this.co2 = Math.max(1, this.co2 + atmosphereChange / this.gtcPerPpm);
+
+        this.carbonFluxes = { ocean: oceanFlux, land: landFlux };
+    }
+
+    /**
+     * Fraction of the planet covered by ice at a given mean temperature.
+     * Smooth step: ~0 for a warm planet, ~1 for a snowball.
+     */
+    computeIceFraction(temp) {
+        return 0.5 * (1 - Math.tanh((temp - this.iceTransitionTemp) / this.iceTransitionWidth));
+    }
+
+    /**
+     * Land cover in % of land area (see LandSurface.coverOf).
+     */
+    getLandCover() {
+        return this.landSurface.coverOf(this.forestCover, this.desertCover, this.landIceCover);
+    }
+
+    /**
+     * Planetary albedo before any temperature-driven ice:
+     * derived from land cover, or the slider value when overridden.
+     */
+    getBaseAlbedo() {
+        if (this.albedoOverride) return this.albedo;
+        return this.landSurface.planetaryAlbedoOf(this.getLandCover());
+    }
+
+    /**
+     * Planetary albedo including ice cover.
+     * Without feedback the base albedo is used as-is.
+     */
+    getEffectiveAlbedo(iceFraction) {
+        const albedo = this.getBaseAlbedo();
+        if (!this.iceAlbedoFeedback) return albedo;
+        return albedo * (1 - iceFraction) + this.iceAlbedo * iceFraction;
+    }
+
+    /**
+     * Starts a volcanic eruption at the current model time.
+     * Pinatubo (1991) peaked around -3 W/m2, Tambora (1815) perhaps -10 W/m2.
+     */
+    addEruption(forcing = -3) {
+        this.eruptions.push({ time: this.time, forcing: Number(forcing) });
+    }
+
+    /**
+     * Radiative forcing of each agent relative to pre-industrial (W/m2).
+     * Simplified expressions (Myhre et al., 1998):
+     *   CO2: dF = 5.35 * ln(C/C0)
+     *   CH4: dF = 0.036 * (sqrt(M) - sqrt(M0)) - overlap with N2O
+     *   N2O: dF = 0.12 * (sqrt(N) - sqrt(N0)) - overlap with CH4
+     */
+    getForcings() {
+        const m0 = this.preIndustrialCH4;
+        const n0 = this.preIndustrialN2O;
+
+        // CH4 and N2O absorb in the same bands, so each is reduced by the overlap with the other
+        const overlap = (m, n) => 0.47 * Math.log(1 + 2.01e-5 * Math.pow(m * n, 0.75) + 5.31e-15 * m * Math.pow(m * n, 1.52));
+
+        return {
+            co2: this.co2ForcingCoefficient * Math.log(this.co2 / this.preIndustrialCO2),
+            ch4: 0.036 * (Math.sqrt(this.ch4) - Math.sqrt(m0)) - (overlap(this.ch4, n0) - overlap(m0, n0)),
+            n2o: 0.12 * (Math.sqrt(this.n2o) - Math.sqrt(n0)) - (overlap(m0, this.n2o) - overlap(m0, n0)),
+            aerosols: this.presentDayAerosolForcing * this.aerosols / 100,
+            volcanic: this.getVolcanicForcing(),
+            // Evapotranspiration: forest above the reference cover moves extra heat off the surface
+            landUse: -this.landSurface.evapotranspirationOf(this.getLandCover()),
+            // Solar acts through the absorbed sunlight, not the emissivity; listed for the breakdown
+            solar: (this.getSolarIntensity() - this.solarIntensity) / 4 * (1 - this.getBaseAlbedo())
+        };
+    }
+
+    /**
+     * Forcing from well-mixed greenhouse gases (CO2, CH4, N2O), W/m2.
+     */
+    getGreenhouseForcing() {
+        const forcings = this.getForcings();
+        return forcings.co2 + forcings.ch4 + forcings.n2o;
+    }
+
+    /**
+     * Forcing that acts on the emissivity: greenhouse gases, aerosols and land use,
+     * plus volcanic aerosol unless only sustained forcing is wanted (equilibrium).
+     */
+    getTotalForcing(includeTransient = true) {
+        const forcings = this.getForcings();
+        const sustained = forcings.co2 + forcings.ch4 + forcings.n2o + forcings.aerosols + forcings.landUse;
+        return includeTransient ? sustained + forcings.volcanic : sustained;
+    }
+
+    getVolcanicForcing() {
+        return this.eruptions.reduce((sum, eruption) => {
+            const age = this.time - eruption.time;
+            return age < 0 ? sum : sum + eruption.forcing * Math.exp(-age / this.volcanicDecayTime);
+        }, 0);
+    }
+
+    /**
+     * Total solar irradiance, including the 11-year cycle when it is switched on.
+     */
+    getSolarIntensity(includeTransient = true) {
+        if (!this.solarCycle || !includeTransient) return this.solarIntensity;
+        return this.solarIntensity + this.solarCycleAmplitude * Math.sin(2 * Math.PI * this.time / this.solarCyclePeriod);
+    }
+
+    /**
+     * Effective emissivity for a given forcing.
+     * Base emissivity for Earth ~0.61 without extra CO2;
+     * we model greenhouse effect as reducing effective emissivity.
+     */
+    getEmissivity(forcing) {
+        const emissivity = this.baseEmissivity - (forcing * this.emissivitySensitivity);
+
+        // Clamp emissivity
+        return Math.max(0.5, Math.min(0.7, emissivity));
+    }
+
+    /**
+     * Net energy (absorbed - outgoing, W/m2) the planet would have at a given
+     * surface temperature with the current (sustained) parameters.
+     */
+    getNetFlux(temp) {
+        const albedo = this.getEffectiveAlbedo(this.computeIceFraction(temp));
+        const absorbed = (this.solarIntensity / 4) * (1 - albedo);
+        const outgoing = this.getEmissivity(this.getTotalForcing(false)) * this.sigma * Math.pow(temp + 273.15, 4);
+        return absorbed - outgoing;
+    }
+
+    /**
+     * Equilibrium surface temperature for the current parameters.
+     * Without ice feedback the balance solves directly:
+     *   S/4 * (1 - a) = e * sigma * T^4  =>  T = (S/4 * (1 - a) / (e * sigma))^(1/4)
+     * With feedback there may be several solutions (warm and snowball), so we
+     * walk from startTemp in the direction the planet is heading and return the
+     * first balance point, i.e. the equilibrium it will actually settle into.
+     * Eruptions and the solar cycle are left out: they pass rather than persist.
+     */
+    solveEquilibrium(startTemp = this.temperature) {
+        if (this.latitudeResolved) {
+            // Relax the band profile, shifted to start from startTemp
+            const bands = this.latitudeBands;
+            const shift = startTemp - bands.meanOf(bands.temperatures);
+            const start = bands.temperatures.map(t => t + shift);
+            const temps = bands.solveEquilibrium(this, this.getEmissivity(this.getTotalForcing(false)), start);
+            return bands.meanOf(temps);
+        }
+
+        if (!this.iceAlbedoFeedback) {
+            const absorbed = (this.solarIntensity / 4) * (1 - this.getBaseAlbedo());
+            const emissivity = this.getEmissivity(this.getTotalForcing(false));
+            return Math.pow(absorbed / (emissivity * this.sigma), 0.25) - 273.15;
+        }
+
+        const direction = Math.sign(this.getNetFlux(startTemp));
+        if (direction === 0) return startTemp;
+
+        // Bracket the sign change in 1 degree steps...
+        let low = startTemp;
+        let high = startTemp;
+        for (let i = 0; i < 300; i++) {
+            high = low + direction;
+            if (Math.sign(this.getNetFlux(high)) !== direction) break;
+            low = high;
+        }
+
+        // ...then refine by bisection
+        for (let i = 0; i < 40; i++) {
+            const mid = (low + high) / 2;
+            if (Math.sign(this.getNetFlux(mid)) === direction) low = mid;
+            else high = mid;
+        }
+        return (low + high) / 2;
+    }
+
+    /**
+     * Derived quantities for the stats overlay:
+     * where the planet is heading, not just where it is now.
+     */
+    getDiagnostics() {
+        const equilibriumTemp = this.solveEquilibrium();
+        this.targetTemperature = equilibriumTemp;
+
+        // Equilibrium climate sensitivity: warming from doubling pre-industrial CO2,
+        // all other parameters as they are now
+        const co2 = this.co2;
+        this.co2 = this.preIndustrialCO2;
+        const baseTemp = this.solveEquilibrium(equilibriumTemp);
+        this.co2 = 2 * this.preIndustrialCO2;
+        const doubledTemp = this.solveEquilibrium(baseTemp);
+        this.co2 = co2;
+
+        return {
+            equilibriumTemp: equilibriumTemp,
+            pipelineWarming: equilibriumTemp - this.temperature,
+            forcing: this.getTotalForcing() + this.getForcings().solar,
+            climateSensitivity: doubledTemp - baseTemp
+        };
+    }
+
+    /**
+     * Full energy budget (W/m2) behind the model's totals.
+     * The surface balance is closed by the back-radiation, so both the surface
+     * and the atmosphere add up: the surface gains netEnergy, the atmosphere nothing.
+     */
+    getEnergyBudget({ incoming, absorbed, outgoing, netEnergy, emissivity, temp }) {
+        const reflected = incoming - absorbed;
+        const reflectedAtmosphere = Math.min(reflected, incoming * this.landSurface.cloudAlbedo);
+        const absorbedAtmosphere = Math.min(absorbed, incoming * this.atmosphericAbsorption);
+        const absorbedSurface = absorbed - absorbedAtmosphere;
+
+        const surfaceEmission = outgoing / emissivity; // sigma * T^4
+        const window = surfaceEmission * this.atmosphericWindow;
+        const latent = this.latentHeatFlux * Math.exp(this.latentHeatSensitivity * (temp - 15))
+            + this.landSurface.evapotranspirationOf(this.getLandCover());
+        const sensible = this.sensibleHeatFlux;
+        const backRadiation = surfaceEmission + latent + sensible + netEnergy - absorbedSurface;
+
+        return {
+            incoming,
+            reflectedAtmosphere,
+            reflectedSurface: reflected - reflectedAtmosphere,
+            absorbedAtmosphere,
+            absorbedSurface,
+            surfaceEmission,
+            window,
+            backRadiation,
+            latent,
+            sensible,
+            atmosphereEmission: outgoing - window,
+            outgoing
+        };
+    }
+
+    /**
+     * Copy of the evolving state (not the parameters), for resetting a run.
+     */
+    snapshot() {
+        return {
+            temperature: this.temperature,
+            deepOceanTemperature: this.deepOceanTemperature,
+            time: this.time,
+            co2: this.co2,
+            oceanCarbon: this.oceanCarbon,
+            landCarbon: this.landCarbon,
+            eruptions: this.eruptions.map(eruption => ({ ...eruption })),
+            bandTemperatures: [...this.latitudeBands.temperatures],
+            seaLevelBaseline: this.seaLevel.baselineTemp,
+            seaLevelComponents: { ...this.seaLevel.components }
+        };
+    }
+
+    restore(snapshot) {
+        this.temperature = snapshot.temperature;
+        this.deepOceanTemperature = snapshot.deepOceanTemperature;
+        this.time = snapshot.time;
+        this.co2 = snapshot.co2;
+        this.oceanCarbon = snapshot.oceanCarbon;
+        this.landCarbon = snapshot.landCarbon;
+        this.eruptions = snapshot.eruptions.map(eruption => ({ ...eruption }));
+        this.latitudeBands.temperatures = [...snapshot.bandTemperatures];
+        this.seaLevel.baselineTemp = snapshot.seaLevelBaseline;
+        this.seaLevel.components = { ...snapshot.seaLevelComponents };
+        this.iceFraction = this.computeIceFraction(this.temperature);
+        this.carbonFluxes = { ocean: 0, land: 0 };
+    }
+
+    /**
+     * Runs the model forward until the ocean has adjusted to the current parameters.
+     * Used to start a run from equilibrium instead of from an arbitrary state.
+     */
+    spinUp(years = 1000, dt = 1) {
+        const time = this.time;
+        for (let t = 0; t < years; t += dt) this.step(dt);
+        this.time = time;
+        this.seaLevel.reset(this.temperature);
     }
 
     /**
      * Calculates the energy balance and next temperature step.
+     * dt is in model years.
      * Returns the current state for visualization.
      */
     step(dt = 0.1) {
+        // 0. Carbon Cycle (emissions mode only): evolve CO2 before computing forcing
+        if (this.carbonCycle) this.stepCarbonCycle(dt);
+
+        // The latitude-resolved model replaces steps 1-6 below
+        if (this.latitudeResolved) return this.stepLatitudes(dt);
+
         // 1. Calculate incoming energy (absorbed)
         // Solar constant is spread over the surface area of a sphere (4*pi*r^2) vs cross section (pi*r^2)
         // Hence division by 4.
-        const incomingSolar = this.solarIntensity / 4;
-        const absorbedSolar = incomingSolar * (1 - this.albedo);
+        // Ice cover follows temperature; with feedback on it brightens the planet,
+        // which cools it further. This allows multiple equilibria (snowball vs. warm).
+        this.iceFraction = this.computeIceFraction(this.temperature);
+        const albedo = this.getEffectiveAlbedo(this.iceFraction);
+        const incomingSolar = this.getSolarIntensity() / 4;
+        const absorbedSolar = incomingSolar * (1 - albedo);
 
         // 2. Calculate Greenhouse Effect / Radiative Forcing
-        // Simplified formula for CO2 forcing: dF = 5.35 * ln(C/C0)
-        const forcingCO2 = 5.35 * Math.log(this.co2 / this.preIndustrialCO2);
-        
-        // Forest effect: More forest = slightly less CO2 in reality, but here we treat it as 
-        // a modifier to local cooling or albedo (though albedo is separate slider).
-        // Let's say forest coverage provides a small additional cooling offset (evapotranspiration)
-        // purely for the sake of making the variable do something distinct if albedo is manually set.
-        // Or we can just let Albedo be the primary driver if user sets it.
-        // Let's make forest affect the "natural" CO2 absorbtion rate in a dynamic model, 
-        // but for this static snapshot model, maybe it just affects the "effective" emissivity.
-        
-        // Let's stick to the core physics:
+        // CO2, CH4, N2O, aerosols, volcanic sulfate and forest evapotranspiration, combined.
+        // (Forest also acts through the albedo in step 1 and the carbon cycle in step 0.)
+        const forcings = this.getForcings();
+        const forcing = this.getTotalForcing();
+
         // Outgoing Longwave Radiation (OLR) = sigma * T^4 * epsilon
         // Greenhouse gases reduce epsilon (effective emissivity).
-        
-        // Base emissivity for Earth ~0.61 without extra CO2
-        // We model greenhouse effect as reducing effective emissivity.
-        let emissivity = 0.61 - (forcingCO2 * 0.005); 
-        
-        // Clamp emissivity
-        emissivity = Math.max(0.5, Math.min(0.7, emissivity));
+        const emissivity = this.getEmissivity(forcing);
 
         // 3. Calculate Outgoing Radiation based on Current Temp (Kelvin)
+        const surfaceTemp = this.temperature;
         const currentTempK = this.temperature + 273.15;
         const outgoingRad = emissivity * this.sigma * Math.pow(currentTempK, 4);
 
@@ -69,20 +507,106 @@ export class ClimateModel {
         const netEnergy = absorbedSolar - outgoingRad; // W/m2
 
         // 5. Update Temperature (Thermal Inertia)
-        // Earth has huge heat capacity. In this sim, we speed it up.
-        // Heat Capacity (C_earth) approx... let's define an arbitrary rate for UX.
-        const heatCapacity = 50; // Arbitrary unit to smooth changes
-        const tempChange = (netEnergy / heatCapacity) * dt;
+        // The surface warms the mixed layer quickly (years); part of that heat
+        // leaks into the deep ocean, which takes centuries to catch up.
+        // This is why warming continues after forcing stops growing.
+        const oceanUptake = this.oceanHeatExchange * (this.temperature - this.deepOceanTemperature); // W/m2
 
-        this.temperature += tempChange;
+        this.temperature += ((netEnergy - oceanUptake) / this.mixedLayerHeatCapacity) * dt;
+        this.deepOceanTemperature += (oceanUptake / this.deepOceanHeatCapacity) * dt;
+        this.time += dt;
+
+        // 6. Sea Level: all of the imbalance ends up as ocean heat
+        this.seaLevel.step(this.temperature, netEnergy, dt);
+        this.pruneEruptions();
 
         return {
+            time: this.time,
             temp: this.temperature,
+            deepTemp: this.deepOceanTemperature,
+            co2: this.co2,
+            oceanSink: this.carbonFluxes.ocean,
+            landSink: this.carbonFluxes.land,
+            oceanUptake: oceanUptake,
             netEnergy: netEnergy,
             absorbed: absorbedSolar,
-            reflected: incomingSolar * this.albedo, // This is just reflected part of avg
+            reflected: incomingSolar * albedo, // This is just reflected part of avg
             outgoing: outgoingRad,
-            incoming: incomingSolar
+            incoming: incomingSolar,
+            albedo: albedo,
+            iceFraction: this.iceFraction,
+            seaLevel: this.seaLevel.total(),
+            seaLevelComponents: { ...this.seaLevel.components },
+            forcings: forcings,
+            forcing: forcing + forcings.solar,
+            budget: this.getEnergyBudget({
+                incoming: incomingSolar,
+                absorbed: absorbedSolar,
+                outgoing: outgoingRad,
+                netEnergy,
+                emissivity,
+                temp: surfaceTemp
+            })
         };
     }
+
+    /**
+     * Same as step(), but each latitude band balances its own sunlight,
+     * ice cover and outgoing heat. The global temperature is the area-weighted mean.
+     */
+    stepLatitudes(dt) {
+        const bands = this.latitudeBands;
+        const forcings = this.getForcings();
+        const forcing = this.getTotalForcing();
+        const emissivity = this.getEmissivity(forcing);
+        const surfaceTemp = this.temperature;
+        const totals = bands.step(this, emissivity, dt);
+
+        this.temperature = bands.meanOf(bands.temperatures);
+        this.deepOceanTemperature += (totals.oceanUptake / this.deepOceanHeatCapacity) * dt;
+        this.time += dt;
+        this.iceFraction = totals.ice;
+        this.seaLevel.step(this.temperature, totals.absorbed - totals.outgoing, dt);
+        this.pruneEruptions();
+
+        return {
+            time: this.time,
+            temp: this.temperature,
+            deepTemp: this.deepOceanTemperature,
+            co2: this.co2,
+            oceanSink: this.carbonFluxes.ocean,
+            landSink: this.carbonFluxes.land,
+            oceanUptake: totals.oceanUptake,
+            netEnergy: totals.absorbed - totals.outgoing,
+            absorbed: totals.absorbed,
+            reflected: totals.incoming - totals.absorbed,
+            outgoing: totals.outgoing,
+            incoming: totals.incoming,
+            albedo: 1 - totals.absorbed / totals.incoming,
+            iceFraction: this.iceFraction,
+            seaLevel: this.seaLevel.total(),
+            seaLevelComponents: { ...this.seaLevel.components },
+            forcings: forcings,
+            forcing: forcing + forcings.solar,
+            budget: this.getEnergyBudget({
+                incoming: totals.incoming,
+                absorbed: totals.absorbed,
+                outgoing: totals.outgoing,
+                netEnergy: totals.absorbed - totals.outgoing,
+                emissivity,
+                temp: surfaceTemp
+            }),
+            latitudes: bands.latitudes,
+            bandTemperatures: bands.temperatures,
+            iceLatitude: bands.iceLatitudeOf(bands.temperatures)
+        };
+    }
+
+    /**
+     * Forgets eruptions whose aerosol has long since rained out.
+     */
+    pruneEruptions() {
+        const horizon = 10 * this.volcanicDecayTime;
+        this.eruptions = this.eruptions.filter(eruption => this.time - eruption.time < horizon);
+    }
 }
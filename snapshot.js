@@ -0,0 +1,196 @@
+/**
+ * Snapshot Module
+ * Puts what is on screen into a form students can paste into a lab report:
+ * one PNG with the globe, the charts and the current values, and a printable
+ * one-page HTML report with the same content (print it or save it as PDF).
+ *
+ * Content shape, shared by both:
+ *   { title, subtitle, globe: canvas, charts: [{ title, canvas }], sections: [{ title, rows: [[label, value], ...] }] }
+ *   Texts come already translated; canvases may have a transparent background.
+ */
+
+const COLORS = {
+    background: '#0f172a',
+    panel: '#1e293b',
+    text: '#f8fafc',
+    secondary: '#94a3b8',
+    border: '#334155'
+};
+
+const FONT = 'Inter, sans-serif';
+
+/**
+ * Draws the snapshot onto one canvas: header, globe on the left, charts on the right,
+ * then the value tables side by side.
+ */
+export function composeSnapshot({ title, subtitle, globe, charts, sections }) {
+    const width = 1600;
+    const padding = 32;
+    const header = 100;
+    const globeSize = 720;
+    const chartWidth = width - globeSize - padding * 3;
+    const chartHeight = (globeSize - padding * (charts.length - 1)) / Math.max(1, charts.length);
+    const rowHeight = 30;
+    const rows = Math.max(...sections.map(section => section.rows.length), 0);
+    const tableTop = header + globeSize + padding;
+    const height = tableTop + 50 + rows * rowHeight + padding;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(0, 0, width, height);
+
+    // 1. Header
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = COLORS.text;
+    ctx.font = `600 34px ${FONT}`;
+    ctx.fillText(title, padding, 52);
+    ctx.fillStyle = COLORS.secondary;
+    ctx.font = `400 20px ${FONT}`;
+    ctx.fillText(subtitle, padding, 84);
+
+    // 2. Globe, centred in its square
+    if (globe) {
+        const scale = Math.min(globeSize / globe.width, globeSize / globe.height);
+        const w = globe.width * scale;
+        const h = globe.height * scale;
+        ctx.drawImage(globe, padding + (globeSize - w) / 2, header + (globeSize - h) / 2, w, h);
+    }
+
+    // 3. Charts on panels, titled
+    charts.forEach((chart, i) => {
+        const x = globeSize + padding * 2;
+        const y = header + i * (chartHeight + padding);
+        drawPanel(ctx, x, y, chartWidth, chartHeight);
+        ctx.fillStyle = COLORS.text;
+        ctx.font = `600 20px ${FONT}`;
+        ctx.fillText(chart.title, x + 20, y + 36);
+        fitImage(ctx, chart.canvas, x + 16, y + 52, chartWidth - 32, chartHeight - 68);
+    });
+
+    // 4. Value tables
+    const columnWidth = (width - padding * (sections.length + 1)) / Math.max(1, sections.length);
+    sections.forEach((section, i) => {
+        const x = padding + i * (columnWidth + padding);
+        drawPanel(ctx, x, tableTop, columnWidth, height - tableTop - padding);
+        ctx.fillStyle = COLORS.text;
+        ctx.font = `600 20px ${FONT}`;
+        ctx.fillText(section.title, x + 20, tableTop + 34);
+
+        ctx.font = `400 18px ${FONT}`;
+        section.rows.forEach(([label, value], row) => {
+            const y = tableTop + 50 + (row + 0.7) * rowHeight;
+            ctx.textAlign = 'left';
+            ctx.fillStyle = COLORS.secondary;
+            ctx.fillText(label, x + 20, y, columnWidth * 0.6);
+            ctx.textAlign = 'right';
+            ctx.fillStyle = COLORS.text;
+            ctx.fillText(value, x + columnWidth - 20, y, columnWidth * 0.35);
+        });
+        ctx.textAlign = 'left';
+    });
+
+    return canvas;
+}
+
+/**
+ * Builds the printable report as a standalone HTML page. Charts are drawn on a
+ * dark panel, as on screen, since their labels are light.
+ */
+export function reportHTML({ lang, title, subtitle, globe, charts, sections, printLabel, footer }) {
+    const figure = (canvas, caption) => (canvas
+        ? `<figure><img src="${onPanel(canvas).toDataURL('image/png')}" alt="${escapeHTML(caption)}"><figcaption>${escapeHTML(caption)}</figcaption></figure>`
+        : '');
+    const table = section => `
+        <section>
+            <h2>${escapeHTML(section.title)}</h2>
+            <table>${section.rows.map(([label, value]) => `<tr><th>${escapeHTML(label)}</th><td>${escapeHTML(value)}</td></tr>`).join('')}</table>
+        </section>`;
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHTML(lang)}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(title)}</title>
+<style>
+    @page { size: A4; margin: 12mm; }
+    * { box-sizing: border-box; }
+    body { margin: 0 auto; max-width: 186mm; padding: 8mm 0; font-family: ${FONT}; font-size: 10pt; color: #0f172a; }
+    header { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 1px solid #cbd5e1; margin-bottom: 4mm; }
+    h1 { font-size: 16pt; margin: 0 0 2mm; }
+    h2 { font-size: 11pt; margin: 0 0 2mm; }
+    .subtitle { color: #475569; margin: 0 0 2mm; }
+    .figures { display: grid; grid-template-columns: 80mm 1fr; gap: 4mm; align-items: start; }
+    .charts { display: grid; gap: 3mm; }
+    figure { margin: 0; }
+    figure img { width: 100%; max-height: 70mm; object-fit: contain; display: block; border-radius: 2mm; }
+    .globe img { background: ${COLORS.background}; max-height: 80mm; }
+    figcaption { font-size: 8.5pt; color: #475569; margin-top: 1mm; }
+    .tables { display: grid; grid-template-columns: 1fr 1fr; gap: 6mm; margin-top: 5mm; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 1mm 0; border-bottom: 1px solid #e2e8f0; font-size: 9pt; }
+    th { text-align: left; font-weight: 400; color: #475569; }
+    td { text-align: right; font-variant-numeric: tabular-nums; }
+    footer { margin-top: 5mm; font-size: 8pt; color: #64748b; }
+    button { font: inherit; padding: 2mm 4mm; cursor: pointer; }
+    @media print { button { display: none; } body { padding: 0; } }
+</style>
+</head>
+<body>
+    <header>
+        <div>
+            <h1>${escapeHTML(title)}</h1>
+            <p class="subtitle">${escapeHTML(subtitle)}</p>
+        </div>
+        <button onclick="window.print()">${escapeHTML(printLabel)}</button>
+    </header>
+    <div class="figures">
+        <div class="globe">${globe ? `<figure><img src="${globe.toDataURL('image/png')}" alt=""></figure>` : ''}</div>
+        <div class="charts">${charts.map(chart => figure(chart.canvas, chart.title)).join('')}</div>
+    </div>
+    <div class="tables">${sections.map(table).join('')}</div>
+    <footer>${escapeHTML(footer)}</footer>
+</body>
+</html>
+`;
+}
+
+function drawPanel(ctx, x, y, width, height) {
+    ctx.fillStyle = COLORS.panel;
+    ctx.strokeStyle = COLORS.border;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, height, 12);
+    ctx.fill();
+    ctx.stroke();
+}
+
+// Scales an image into the box, keeping its aspect ratio
+function fitImage(ctx, image, x, y, width, height) {
+    const scale = Math.min(width / image.width, height / image.height);
+    const w = image.width * scale;
+    const h = image.height * scale;
+    ctx.drawImage(image, x + (width - w) / 2, y + (height - h) / 2, w, h);
+}
+
+// Copy of a canvas on the panel colour, so light chart labels stay readable on paper
+function onPanel(canvas) {
+    const copy = document.createElement('canvas');
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    const ctx = copy.getContext('2d');
+    ctx.fillStyle = COLORS.panel;
+    ctx.fillRect(0, 0, copy.width, copy.height);
+    ctx.drawImage(canvas, 0, 0);
+    return copy;
+}
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,100 @@
+/**
+ * Storage Module
+ * Experiment state in the URL hash (for sharing a setup) and
+ * named experiments saved in localStorage.
+ */
+
+const NUMBER_PARAMS = ['co2', 'ch4', 'n2o', 'aerosols', 'albedo', 'solar', 'forest', 'desert', 'landIce', 'emissions'];
+const BOOLEAN_PARAMS = ['carbonCycle', 'iceFeedback', 'latitudeModel', 'solarCycle', 'albedoOverride'];
+const VIEWS = ['view-simulation', 'view-variables', 'view-data', 'view-info'];
+
+/**
+ * State -> "#co2=400&albedo=0.3&...&lang=id&view=view-data&scenario=high"
+ */
+export function encodeState(state) {
+    const query = new URLSearchParams();
+    const params = state.params || {};
+
+    NUMBER_PARAMS.forEach(key => {
+        if (params[key] !== undefined) query.set(key, Number(Number(params[key]).toFixed(4)));
+    });
+    BOOLEAN_PARAMS.forEach(key => {
+        if (params[key] !== undefined) query.set(key, params[key] ? 1 : 0);
+    });
+    if (state.lang) query.set('lang', state.lang);
+    if (state.view) query.set('view', state.view);
+    if (state.scenario) query.set('scenario', state.scenario);
+
+    return '#' + query.toString();
+}
+
+/**
+ * Inverse of encodeState(). Returns null for an empty hash;
+ * unknown or malformed entries are ignored.
+ */
+export function decodeState(hash) {
+    const text = (hash || '').replace(/^#/, '');
+    if (!text) return null;
+
+    const query = new URLSearchParams(text);
+    const params = {};
+
+    NUMBER_PARAMS.forEach(key => {
+        const text = (query.get(key) || '').trim(); // Number('') would be 0
+        if (text && Number.isFinite(Number(text))) params[key] = Number(text);
+    });
+    BOOLEAN_PARAMS.forEach(key => {
+        if (query.has(key)) params[key] = query.get(key) === '1';
+    });
+
+    return {
+        params,
+        lang: query.get('lang') || undefined,
+        view: VIEWS.includes(query.get('view')) ? query.get('view') : undefined,
+        scenario: query.get('scenario') || undefined
+    };
+}
+
+export class ExperimentStore {
+    constructor(storageKey = 'climate-lab-experiments') {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * Saved experiments, newest first. Returns [] if storage is unavailable or corrupt.
+     */
+    list() {
+        try {
+            const experiments = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+            return experiments.sort((a, b) => b.savedAt - a.savedAt);
+        } catch (err) {
+            console.warn('Could not read saved experiments', err);
+            return [];
+        }
+    }
+
+    load(name) {
+        return this.list().find(experiment => experiment.name === name) || null;
+    }
+
+    /**
+     * Saves (or overwrites) an experiment under the given name.
+     */
+    save(name, state) {
+        const experiments = this.list().filter(experiment => experiment.name !== name);
+        experiments.push({ name, savedAt: Date.now(), state });
+        this.write(experiments);
+    }
+
+    remove(name) {
+        this.write(this.list().filter(experiment => experiment.name !== name));
+    }
+
+    write(experiments) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(experiments));
+        } catch (err) {
+            console.warn('Could not save experiments', err);
+        }
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * Service Worker
+ * Keeps a copy of the whole app so the lab opens and runs without a connection.
+ * Files are served from the cache and refreshed in the background when the
+ * network is there, so an update shows on the next visit.
+ * Bump CACHE_VERSION when files are added or removed below.
+ */
+
+const CACHE_VERSION = 'climate-lab-v3';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+
+    // Modules
+    'main.js',
+    'simulation.js',
+    'latitude.js',
+    'land.js',
+    'sealevel.js',
+    'runner.js',
+    'ensemble.js',
+    'ensemble-worker.js',
+    'scenarios.js',
+    'hindcast.js',
+    'history.js',
+    'storage.js',
+    'presets.js',
+    'lessons.js',
+    'recorder.js',
+    'snapshot.js',
+    'locales.js',
+    'clock.js',
+    'earth.js',
+    'textures.js',
+    'graphs.js',
+    'flow.js',
+
+    // Languages, observations and lessons
+    'locales/en.json',
+    'locales/id.json',
+    'locales/es.json',
+    'locales/ms.json',
+    'data/co2.json',
+    'data/temperature.json',
+    'data/lowlands.json',
+    'data/lessons/index.json',
+    'data/lessons/greenhouse.json',
+    'data/lessons/land-cover.json',
+    'data/lessons/sea-level.json',
+
+    // Libraries and fonts (scripts/fetch-vendor.mjs) and textures (textures/SOURCES.md)
+    'vendor/es-module-shims.js',
+    'vendor/three/build/three.module.js',
+    'vendor/three/examples/jsm/controls/OrbitControls.js',
+    'vendor/chart.umd.js',
+    'vendor/inter/inter-latin-300-normal.woff2',
+    'vendor/inter/inter-latin-400-normal.woff2',
+    'vendor/inter/inter-latin-500-normal.woff2',
+    'vendor/inter/inter-latin-600-normal.woff2',
+    'vendor/inter/inter-latin-700-normal.woff2',
+    'textures/earth_color_2048.jpg',
+    'textures/earth_water_1600.png',
+    'textures/earth_topology_2048.png',
+    'textures/earth_clouds_1024.png'
+];
+
+self.addEventListener('install', (event) => {
+    // Every file is committed, so a failed download fails the install
+    // and the previous version keeps serving until the next attempt
+    event.waitUntil(
+        caches.open(CACHE_VERSION)
+            .then(cache => cache.addAll(APP_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop the caches of earlier versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(caches.open(CACHE_VERSION).then(async (cache) => {
+        // The page itself is cached as index.html, whatever the query string
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' })
+            || (request.mode === 'navigate' ? await cache.match('index.html') : undefined);
+
+        const refresh = fetch(request)
+            .then(response => {
+                if (response.ok) cache.put(request, response.clone());
+                return response;
+            })
+            .catch(err => {
+                if (!cached) throw err;
+                return cached;
+            });
+
+        if (cached) {
+            event.waitUntil(refresh.catch(() => {}));
+            return cached;
+        }
+        return refresh;
+    }));
+});
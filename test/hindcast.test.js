@@ -0,0 +1,55 @@
+/**
+ * Hindcast tests
+ * Scores a model run against an observed record; here small made-up records
+ * stand in for data/co2.json and data/temperature.json.
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Hindcast } from '../hindcast.js';
+
+const dataset = (label, from, to, value) => ({
+    label,
+    rows: Array.from({ length: to - from + 1 }, (_, i) => [from + i, value(from + i)])
+});
+
+const co2 = dataset('ice core and Mauna Loa', 1850, 2019, year => 285 + (year - 1850) * 0.7);
+const temperature = dataset('anomaly', 1840, 2023, year => (year - 1850) * 0.01);
+
+test('the hindcast runs over the years of the CO2 record', () => {
+    const hindcast = new Hindcast(co2, temperature);
+    assert.equal(hindcast.startYear, 1850);
+    assert.equal(hindcast.endYear, 2019);
+    assert.deepEqual(hindcast.scenario.keyframes[0], { year: 1850, co2: 285 });
+
+    const years = hindcast.observations().map(([year]) => year);
+    assert.equal(years[0], 1850);
+    assert.equal(years[years.length - 1], 2019);
+});
+
+test('observations are matched to the model at the start year', () => {
+    const hindcast = new Hindcast(co2, temperature);
+    hindcast.start(14);
+    // Mean of 1848-1852
+    assert.ok(Math.abs(hindcast.offset) < 1e-9, `offset ${hindcast.offset}`);
+    assert.deepEqual(hindcast.observedPoints()[10], { x: 1860, y: 14 + 0.1 });
+});
+
+test('the error covers the observation years the run has passed', () => {
+    const hindcast = new Hindcast(co2, temperature);
+    hindcast.start(14);
+    assert.equal(hindcast.error().rmse, null);
+
+    // A model 0.1 C warmer than observed every year
+    for (let time = 1850.5; time <= 1900; time += 0.5) {
+        hindcast.record(time, 14.1 + (Math.floor(time) - 1850) * 0.01);
+    }
+    const { rmse, count } = hindcast.error();
+    assert.equal(count, 51); // 1850 to 1900
+    assert.ok(Math.abs(rmse - 0.1) < 1e-9, `rmse ${rmse}`);
+
+    hindcast.rewind();
+    assert.equal(hindcast.error().count, 0);
+});
@@ -0,0 +1,89 @@
+/**
+ * Run history tests
+ * Recording, CSV/JSON export and loading a run back (history.js).
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RunHistory } from '../history.js';
+import { createModel } from '../runner.js';
+
+// Records a model run the way the app does: one call per step
+const recordRun = (params, years, dt = 0.2) => {
+    const model = createModel(params);
+    const history = new RunHistory();
+    for (let i = 0; i < Math.round(years / dt); i++) {
+        history.record(model.step(dt), model.getParams());
+    }
+    return history;
+};
+
+test('land cover and emissions are exported and read back', () => {
+    const history = recordRun({ desert: 12, landIce: 8, emissions: 6.5, carbonCycle: true }, 3);
+    for (const [text, filename] of [[history.toCSV(), 'run.csv'], [history.toJSON(), 'run.json']]) {
+        const row = RunHistory.parse(text, filename).rows[0];
+        assert.equal(row.desert, 12, filename);
+        assert.equal(row.landIce, 8, filename);
+        assert.equal(row.emissions, 6.5, filename);
+    }
+});
+
+test('a run is recorded once per model year', () => {
+    const history = recordRun({}, 10);
+    // From the first step on, a year apart
+    assert.equal(history.rows.length, 10);
+    history.rows.forEach((row, i) => {
+        assert.ok(Math.abs(row.time - (0.2 + i)) < 1e-6, `row ${i} at ${row.time}`);
+    });
+
+    history.clear();
+    assert.equal(history.rows.length, 0);
+});
+
+test('a CSV export reads back as the same rows', () => {
+    const history = recordRun({ co2: 450 }, 5);
+    const csv = history.toCSV();
+    const lines = csv.split('\n');
+    assert.equal(lines[0], history.columns.join(','));
+    assert.equal(lines.length, 6);
+
+    const loaded = RunHistory.parse(csv, 'run.csv');
+    assert.equal(loaded.rows.length, 5);
+    loaded.rows.forEach((row, i) => {
+        history.columns.forEach(key => {
+            assert.ok(Math.abs(row[key] - history.rows[i][key]) <= 5e-5, `${key} in row ${i}`);
+        });
+    });
+    assert.equal(loaded.toCSV(), csv);
+});
+
+test('a JSON export reads back like the CSV', () => {
+    const history = recordRun({ co2: 450 }, 5);
+    assert.deepEqual(RunHistory.parse(history.toJSON(), 'run.json').rows, RunHistory.parse(history.toCSV(), 'run.csv').rows);
+    // Without a file name the format is sniffed
+    assert.deepEqual(RunHistory.parse(history.toJSON()).rows, RunHistory.parse(history.toCSV()).rows);
+});
+
+test('older and hand-made files load their known columns', () => {
+    const run = RunHistory.parse('time,temp,co2,note\r\n1,14.5,400,a\r\n2,14.6,401,b\r\n\r\n');
+    assert.deepEqual(run.rows, [{ time: 1, temp: 14.5, co2: 400 }, { time: 2, temp: 14.6, co2: 401 }]);
+});
+
+test('a file without time and temperature is rejected', () => {
+    assert.throws(() => RunHistory.parse('year,co2\n1,400'), /time/);
+    assert.throws(() => RunHistory.parse('{"columns": ["time"], "rows": [[1]]}', 'run.json'), /temp/);
+});
+
+test('a long run is thinned out instead of growing without bound', () => {
+    const history = new RunHistory();
+    for (let year = 1; year <= 10001; year++) history.record({ time: year, temp: 15 }, {});
+    assert.equal(history.rows.length, 5001);
+    assert.equal(history.interval, 2);
+
+    history.record({ time: 10002, temp: 15 }, {});
+    history.record({ time: 10003, temp: 15 }, {});
+    assert.equal(history.rows[history.rows.length - 1].time, 10003);
+    assert.equal(history.rows.length, 5002);
+});
@@ -0,0 +1,121 @@
+/**
+ * Lesson tests
+ * The bundled lessons, and marking answers against the live model (lessons.js).
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateLesson, measureQuantity, LessonSession } from '../lessons.js';
+import { createModel } from '../runner.js';
+
+const readLesson = (file) => JSON.parse(readFileSync(new URL(`../data/lessons/${file}`, import.meta.url), 'utf8'));
+
+const lesson = {
+    id: 'test',
+    title: { en: 'Test lesson' },
+    steps: [
+        { text: { en: 'Read this.' } },
+        { text: { en: 'Read the temperature.' }, check: { type: 'number', quantity: 'equilibriumTemp', tolerance: 0.2 } },
+        { text: { en: 'Warm it.' }, highlight: ['co2'], check: { type: 'model', quantity: 'equilibriumWarming', target: 2, tolerance: 0.15 } },
+        { text: { en: 'Pick one.' }, check: { type: 'choice', options: [{ en: 'Less' }, { en: 'More' }], answer: 1 } },
+        { text: { en: 'Explain.' }, check: { type: 'text' } }
+    ]
+};
+
+const context = (params) => {
+    const model = createModel(params);
+    return { model, referenceTemp: createModel({ co2: 280 }).solveEquilibrium() };
+};
+
+test('every bundled lesson is valid', () => {
+    const { lessons } = readLesson('index.json');
+    assert.ok(lessons.length > 0);
+    lessons.forEach(file => assert.doesNotThrow(() => validateLesson(readLesson(file)), file));
+});
+
+test('lessons with a broken step are rejected', () => {
+    const withCheck = (check) => ({ id: 'broken', steps: [{ text: 'Step', check }] });
+    assert.throws(() => validateLesson({ id: 'empty', steps: [] }), /no steps/);
+    assert.throws(() => validateLesson({ id: 'mute', steps: [{}] }), /no text/);
+    assert.throws(() => validateLesson(withCheck({ type: 'essay' })), /unknown check type/);
+    assert.throws(() => validateLesson(withCheck({ type: 'number' })), /quantity/);
+    assert.throws(() => validateLesson(withCheck({ type: 'model', quantity: 'temp' })), /target range/);
+    assert.throws(() => validateLesson(withCheck({ type: 'choice', options: [{ en: 'Only' }], answer: 1 })), /answer/);
+});
+
+test('quantities are measured on the model, parameters by their key', () => {
+    const { model } = context({ co2: 400, forest: 40 });
+    assert.equal(measureQuantity('co2', { model }), 400);
+    assert.equal(measureQuantity('forest', { model }), 40);
+    assert.equal(measureQuantity('equilibriumTemp', { model }), model.solveEquilibrium());
+    assert.throws(() => measureQuantity('happiness', { model }), /Unknown quantity/);
+});
+
+test('a typed number is correct within the tolerance of the measured value', () => {
+    const session = new LessonSession(lesson, { step: 1, furthest: 1 });
+    const live = context({ co2: 280 });
+    const measured = live.model.solveEquilibrium();
+
+    assert.equal(session.check(String(measured + 0.15), live).correct, true);
+    assert.equal(session.check(measured + 0.3, live).correct, false);
+    assert.equal(session.check('', live).correct, false);
+    assert.equal(session.check('warm', live).correct, false);
+    assert.equal(session.answers[1].measured, measured);
+});
+
+test('a model check passes once the live model is in range and keeps the settings used', () => {
+    const session = new LessonSession(lesson, { step: 2, furthest: 2 });
+    assert.equal(session.check(null, context({ co2: 280 })).correct, false);
+
+    // Doubling CO2 warms by the climate sensitivity, so 2 C needs a bit less than 560 ppm
+    const live = context({});
+    const co2 = 280 * Math.pow(2, 2 / live.model.getDiagnostics().climateSensitivity);
+    const result = session.check(null, context({ co2 }));
+    assert.equal(result.correct, true);
+    assert.deepEqual(result.value, { co2 });
+});
+
+test('choices are marked by option index; any free text completes a step', () => {
+    const session = new LessonSession(lesson, { step: 3, furthest: 4 });
+    assert.equal(session.check('0').correct, false);
+    assert.equal(session.check('1').correct, true);
+
+    session.stepIndex = 4;
+    assert.equal(session.check('   ').correct, false);
+    assert.equal(session.check(' Because of CO2 ').value, 'Because of CO2');
+});
+
+test('a step with a check has to be passed before the next one opens', () => {
+    const session = new LessonSession(lesson);
+    assert.ok(session.next(), 'no check on the first step');
+    assert.equal(session.next(), false);
+
+    const live = context({ co2: 280 });
+    session.check(live.model.solveEquilibrium(), live);
+    assert.ok(session.next());
+    assert.deepEqual(session.progress(), { completed: 2, total: 5 });
+
+    // Saved progress opens where the student left off
+    const restored = new LessonSession(lesson, JSON.parse(JSON.stringify(session)));
+    assert.equal(restored.stepIndex, 2);
+    assert.deepEqual(restored.progress(), { completed: 2, total: 5 });
+});
+
+test('the report lists every question with the answer and mark', () => {
+    const session = new LessonSession(lesson, { step: 3, furthest: 3 });
+    session.check('1');
+    const t = {
+        lesson_report_title: 'Lesson', lesson_report_student: 'Student', lesson_report_date: 'Date',
+        lesson_report_progress: 'Progress', lesson_report_answer: 'Answer', lesson_report_unanswered: 'Not answered',
+        lesson_correct: 'Correct', lesson_incorrect: 'Incorrect'
+    };
+    const report = session.report({ t, student: 'Ana', date: new Date(0) });
+
+    assert.match(report, /^Lesson: Test lesson\nStudent: Ana\n/);
+    assert.match(report, /Progress: 2\/5/);
+    assert.match(report, /4\. Pick one\.\n {3}Answer: More\n {3}Correct/);
+    assert.match(report, /5\. Explain\.\n {3}Not answered/);
+});
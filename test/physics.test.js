@@ -0,0 +1,57 @@
+/**
+ * Physics regression tests
+ * Runs the model headless (runner.js) and pins the numbers students see:
+ * equilibrium temperatures and climate sensitivity. A change here means the
+ * physics changed; update the expected values only when that is intended.
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModel, runSimulation, sweepEquilibrium } from '../runner.js';
+
+const close = (actual, expected, tolerance, label) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected} ± ${tolerance}, got ${actual}`);
+};
+
+test('pre-industrial CO2 settles near 14.9 C', () => {
+    close(createModel({ co2: 280 }).solveEquilibrium(), 14.91, 0.02, 'equilibrium at 280 ppm');
+});
+
+test('doubling CO2 warms by the reported climate sensitivity', () => {
+    const base = createModel({ co2: 280 }).solveEquilibrium();
+    const doubled = createModel({ co2: 560 }).solveEquilibrium();
+    const { climateSensitivity } = createModel().getDiagnostics();
+
+    close(climateSensitivity, 2.23, 0.02, 'sensitivity');
+    close(doubled - base, climateSensitivity, 1e-6, 'warming from 280 to 560 ppm');
+});
+
+test('ice-albedo feedback raises the sensitivity', () => {
+    const { climateSensitivity } = createModel({ iceFeedback: true }).getDiagnostics();
+    close(climateSensitivity, 2.50, 0.02, 'sensitivity with ice feedback');
+});
+
+test('a time-stepped run converges to the solved equilibrium', () => {
+    const run = runSimulation({}, { untilEquilibrium: true });
+    assert.ok(run.converged, 'run reached equilibrium');
+    close(run.final.temp, run.model.solveEquilibrium(), 0.01, 'final temperature');
+});
+
+test('a spun-up model stays where it is', () => {
+    const run = runSimulation({ co2: 560 }, { spinUp: true, years: 50 });
+    close(run.final.temp, run.series[0].temp, 0.01, 'temperature drift over 50 years');
+});
+
+test('the middle pathway warms by about 2.4 C from 1850 to 2100', () => {
+    const run = runSimulation({}, { scenario: 'middle' });
+    close(run.final.time, 2100, 1e-6, 'end year');
+    close(run.final.temp - run.series[0].temp, 2.42, 0.05, 'warming');
+});
+
+test('ice-albedo feedback shows hysteresis across solar intensity', () => {
+    const sweep = sweepEquilibrium({ iceFeedback: true }, 'solar', 1200, 1500, { steps: 60 });
+    const gap = Math.max(...sweep.up.map((temp, i) => Math.abs(temp - sweep.down[i])));
+    assert.ok(gap > 10, `warming and cooling branches differ by ${gap} C`);
+});
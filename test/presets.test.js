@@ -0,0 +1,74 @@
+/**
+ * Preset library tests
+ * Validating presets and importing packs (presets.js). The library keeps user
+ * presets in localStorage, so a Map stands in for it here.
+ *
+ *   npm test
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PresetLibrary, DEFAULT_PRESETS } from '../presets.js';
+
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: key => storage.has(key) ? storage.get(key) : null,
+    setItem: (key, value) => storage.set(key, String(value))
+};
+
+beforeEach(() => storage.clear());
+
+test('validate keeps labels, known numeric parameters and the id', () => {
+    const preset = PresetLibrary.validate({
+        id: 'warm',
+        name: 'Warm world',
+        params: { co2: '560', forest: 20, unknown: 1, solar: 'bright' }
+    });
+    assert.deepEqual(preset, { id: 'warm', labels: { en: 'Warm world' }, params: { co2: 560, forest: 20 }, description: {} });
+});
+
+test('validate rejects presets without a label or a parameter', () => {
+    assert.throws(() => PresetLibrary.validate(null), /object/);
+    assert.throws(() => PresetLibrary.validate({ params: { co2: 400 } }), /label/);
+    assert.throws(() => PresetLibrary.validate({ labels: { en: ' ' }, params: { co2: 400 } }), /label/);
+    assert.throws(() => PresetLibrary.validate({ name: 'Empty', params: { co2: 'lots' } }), /parameter/);
+});
+
+test('an exported pack imports into another library', () => {
+    const source = new PresetLibrary();
+    source.save({ name: 'Hot house', params: { co2: 1000 } });
+    source.save({ labels: { en: 'Ice age', id: 'Zaman es' }, params: { co2: 180, landIce: 20 } });
+
+    const target = new PresetLibrary('other-presets');
+    assert.equal(target.importPack(source.exportPack()), 2);
+    assert.deepEqual(target.userPresets(), source.userPresets());
+});
+
+test('importing never replaces an existing preset', () => {
+    const library = new PresetLibrary();
+    const saved = library.save({ name: 'Hot house', params: { co2: 1000 } });
+    const builtIn = DEFAULT_PRESETS[0];
+
+    library.importPack(JSON.stringify({
+        presets: [
+            { id: saved.id, name: 'Hot house', params: { co2: 1200 } },
+            { id: builtIn.id, name: 'Imported', params: { co2: 300 } }
+        ]
+    }));
+
+    const presets = library.userPresets();
+    assert.equal(presets.length, 3);
+    assert.equal(library.get(saved.id).params.co2, 1000);
+    assert.equal(library.get(builtIn.id), builtIn);
+    assert.equal(new Set(presets.map(preset => preset.id)).size, 3);
+});
+
+test('a pack with one invalid preset saves nothing', () => {
+    const library = new PresetLibrary();
+    assert.throws(() => library.importPack(JSON.stringify([
+        { name: 'Fine', params: { co2: 400 } },
+        { name: 'Broken', params: {} }
+    ])), /parameter/);
+    assert.equal(library.userPresets().length, 0);
+    assert.throws(() => library.importPack('{"other": []}'), /presets/);
+});
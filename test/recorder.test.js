@@ -0,0 +1,87 @@
+/**
+ * Session recorder tests
+ * Recording a session, reading it back and replaying it step by step (recorder.js).
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionRecorder, SessionPlayer, parseSession, SESSION_VERSION } from '../recorder.js';
+import { createModel } from '../runner.js';
+
+const DT = 0.2;
+
+// Slider moves at fixed steps, as a student might make them
+const ACTIONS = new Map([[0, { co2: 350 }], [40, { co2: 560 }], [41, { forest: 10 }], [120, { co2: 400 }]]);
+
+const recordSession = (steps) => {
+    const model = createModel({ co2: 280 });
+    const recorder = new SessionRecorder({ params: model.getParams() }, DT);
+    for (let step = 0; step < steps; step++) {
+        const action = ACTIONS.get(step);
+        if (action) {
+            const [key, value] = Object.entries(action)[0];
+            recorder.record('input', { key, value });
+            model.updateParams(action);
+        }
+        model.step(DT);
+        recorder.tick();
+    }
+    return { session: recorder.finish(), temp: model.temperature };
+};
+
+test('a recording lists its events with the step they came before', () => {
+    const { session } = recordSession(150);
+    assert.equal(session.version, SESSION_VERSION);
+    assert.equal(session.steps, 150);
+    assert.equal(session.dt, DT);
+    assert.deepEqual(session.events.map(({ step, type, key }) => [step, type, key]),
+        [[0, 'input', 'co2'], [40, 'input', 'co2'], [41, 'input', 'forest'], [120, 'input', 'co2']]);
+    session.events.forEach(event => assert.ok(Number.isInteger(event.at) && event.at >= 0));
+});
+
+test('a replay from the saved file reproduces the run exactly', () => {
+    const { session, temp } = recordSession(150);
+    const loaded = parseSession(JSON.stringify(session));
+
+    const model = createModel(loaded.start.params);
+    const player = new SessionPlayer(loaded);
+    while (!player.finished) {
+        player.due().forEach(event => model.updateParams({ [event.key]: event.value }));
+        model.step(loaded.dt);
+        player.tick();
+    }
+    assert.equal(model.temperature, temp);
+    assert.equal(player.progress(), 1);
+    assert.deepEqual(player.due(), []);
+});
+
+test('events are due once, before their step', () => {
+    const player = new SessionPlayer({ steps: 4, events: [{ step: 0, type: 'view' }, { step: 2, type: 'input' }, { step: 2, type: 'lang' }] });
+    assert.deepEqual(player.due().map(event => event.type), ['view']);
+    player.tick();
+    assert.deepEqual(player.due(), []);
+    player.tick();
+    assert.equal(player.progress(), 0.5);
+    assert.deepEqual(player.due().map(event => event.type), ['input', 'lang']);
+    assert.equal(player.finished, false);
+    player.tick();
+    player.tick();
+    assert.equal(player.finished, true);
+});
+
+test('files that are not a valid recording are rejected', () => {
+    const valid = { version: SESSION_VERSION, steps: 10, start: {}, events: [{ step: 0, type: 'input' }, { step: 5, type: 'clock' }] };
+    const withEvents = (events) => JSON.stringify({ ...valid, events });
+
+    assert.doesNotThrow(() => parseSession(JSON.stringify(valid)));
+    assert.throws(() => parseSession('null'), /Not a session/);
+    assert.throws(() => parseSession(JSON.stringify({ ...valid, version: SESSION_VERSION + 1 })), /Not a session/);
+    assert.throws(() => parseSession(JSON.stringify({ ...valid, start: undefined })), /Incomplete/);
+    assert.throws(() => parseSession(JSON.stringify({ ...valid, steps: 2.5 })), /Incomplete/);
+    assert.throws(() => parseSession(withEvents([{ step: 0, type: 'dance' }])), /Event 1/);
+    assert.throws(() => parseSession(withEvents([{ step: 5, type: 'input' }, { step: 1, type: 'input' }])), /Event 2/);
+    assert.throws(() => parseSession(withEvents([{ step: '3', type: 'input' }])), /Event 1/);
+    assert.throws(() => parseSession('{"version": 1,'), SyntaxError);
+});
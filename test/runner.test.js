@@ -0,0 +1,54 @@
+/**
+ * Runner tests
+ * Runs the model headless (runner.js) and checks that the physics behaves
+ * the way the lab teaches it: runs settle, more CO2 means a warmer climate and
+ * the scenarios play from their first to their last keyframe.
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModel, runSimulation } from '../runner.js';
+
+const between = (actual, min, max, label) => {
+    assert.ok(actual >= min && actual <= max, `${label}: expected ${min} to ${max}, got ${actual}`);
+};
+
+test('createModel applies the given parameters', () => {
+    const model = createModel({ co2: 350, solar: 1365 });
+    assert.equal(model.co2, 350);
+    assert.equal(model.solarIntensity, 1365);
+});
+
+test('a run lasts the requested number of years', () => {
+    const run = runSimulation({}, { years: 10, dt: 0.5 });
+    assert.equal(run.series.length, 20);
+    between(run.years, 10 - 1e-9, 10 + 1e-9, 'years run');
+    assert.equal(run.final, run.series[run.series.length - 1]);
+});
+
+test('a run to equilibrium settles at a present-day temperature', () => {
+    const run = runSimulation({ co2: 280 }, { untilEquilibrium: true });
+    assert.ok(run.converged, 'run reached equilibrium');
+    between(run.final.temp, 10, 20, 'temperature at 280 ppm');
+    between(Math.abs(run.final.netEnergy), 0, 0.01, 'energy imbalance');
+});
+
+test('doubling CO2 warms within the range of climate sensitivity', () => {
+    const base = runSimulation({ co2: 280 }, { untilEquilibrium: true });
+    const doubled = runSimulation({ co2: 560 }, { untilEquilibrium: true });
+    between(doubled.final.temp - base.final.temp, 1.5, 4.5, 'warming from 280 to 560 ppm');
+});
+
+test('a spun-up model stays where it is', () => {
+    const run = runSimulation({ co2: 400 }, { spinUp: true, years: 50 });
+    between(Math.abs(run.final.temp - run.series[0].temp), 0, 0.05, 'temperature drift over 50 years');
+});
+
+test('a scenario plays from its first to its last keyframe and warms', () => {
+    const run = runSimulation({}, { scenario: 'middle' });
+    between(run.series[0].time, 1850, 1851, 'start year');
+    between(run.final.time, 2100 - 1e-6, 2100 + 1e-6, 'end year');
+    assert.ok(run.final.temp > run.series[0].temp, 'warmer in 2100 than in 1850');
+});
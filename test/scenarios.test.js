@@ -0,0 +1,57 @@
+/**
+ * Scenario tests
+ * Built-in pathways and interpolation along a timeline (scenarios.js).
+ *
+ *   npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scenarios, ScenarioPlayer } from '../scenarios.js';
+
+const timeline = new ScenarioPlayer({
+    keyframes: [
+        { year: 2000, co2: 370, forest: 30 },
+        { year: 2010, co2: 390, forest: 30 },
+        { year: 2050, co2: 470, forest: 20 }
+    ]
+});
+
+test('values between keyframes are interpolated linearly', () => {
+    assert.deepEqual(timeline.valuesAt(2005), { co2: 380, forest: 30 });
+    assert.deepEqual(timeline.valuesAt(2030), { co2: 430, forest: 25 });
+    assert.deepEqual(timeline.valuesAt(2000.5), { co2: 371, forest: 30 });
+});
+
+test('a keyframe year gives the keyframe values', () => {
+    assert.deepEqual(timeline.valuesAt(2010), { co2: 390, forest: 30 });
+    assert.deepEqual(timeline.valuesAt(2050), { co2: 470, forest: 20 });
+});
+
+test('years outside the timeline hold the first or last keyframe', () => {
+    assert.equal(timeline.startYear, 2000);
+    assert.equal(timeline.endYear, 2050);
+    assert.deepEqual(timeline.valuesAt(1900), { co2: 370, forest: 30 });
+    assert.deepEqual(timeline.valuesAt(2100), { co2: 470, forest: 20 });
+    assert.equal(timeline.isFinished(2049.9), false);
+    assert.equal(timeline.isFinished(2050), true);
+});
+
+test('only the parameters a timeline sets are driven', () => {
+    const co2Only = new ScenarioPlayer({ keyframes: [{ year: 1959, co2: 316 }, { year: 1961, co2: 318 }] });
+    assert.deepEqual(co2Only.keys, ['co2']);
+    assert.deepEqual(co2Only.valuesAt(1960), { co2: 317 });
+    assert.deepEqual(timeline.keys, ['co2', 'forest']);
+});
+
+test('the built-in pathways share their history and run from 1850 to 2100', () => {
+    const players = Object.values(scenarios).map(scenario => new ScenarioPlayer(scenario));
+    assert.ok(players.length >= 3);
+    players.forEach(player => {
+        assert.equal(player.startYear, 1850);
+        assert.equal(player.endYear, 2100);
+        assert.deepEqual(player.valuesAt(1990), players[0].valuesAt(1990));
+        player.keyframes.slice(1).forEach((frame, i) => assert.ok(frame.year > player.keyframes[i].year));
+    });
+    assert.ok(new ScenarioPlayer(scenarios.high).valuesAt(2100).co2 > new ScenarioPlayer(scenarios.low).valuesAt(2100).co2);
+});
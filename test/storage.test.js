@@ -0,0 +1,77 @@
+/**
+ * Storage tests
+ * Experiment state in the URL hash and saved experiments (storage.js).
+ * A Map stands in for localStorage.
+ *
+ *   npm test
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeState, decodeState, ExperimentStore } from '../storage.js';
+
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: key => storage.has(key) ? storage.get(key) : null,
+    setItem: (key, value) => storage.set(key, String(value))
+};
+
+beforeEach(() => storage.clear());
+
+test('a state survives the round trip through the URL hash', () => {
+    const state = {
+        params: { co2: 560, albedo: 0.3, solar: 1361, forest: 25.5, emissions: 12, carbonCycle: true, iceFeedback: false, albedoOverride: true },
+        lang: 'id',
+        view: 'view-data',
+        scenario: 'high'
+    };
+    const hash = encodeState(state);
+    assert.ok(hash.startsWith('#co2=560&'), hash);
+    assert.deepEqual(decodeState(hash), state);
+});
+
+test('numbers are rounded to four decimals', () => {
+    assert.equal(decodeState(encodeState({ params: { co2: 412.123456 } })).params.co2, 412.1235);
+});
+
+test('an empty hash decodes to null', () => {
+    assert.equal(decodeState(''), null);
+    assert.equal(decodeState('#'), null);
+    assert.equal(decodeState(undefined), null);
+});
+
+test('unknown views and keys are ignored', () => {
+    const state = decodeState('#view=view-secret&colour=red&co2=400');
+    assert.equal(state.view, undefined);
+    assert.deepEqual(state.params, { co2: 400 });
+    assert.equal(decodeState('#view=view-info').view, 'view-info');
+});
+
+test('malformed values are ignored', () => {
+    const state = decodeState('#co2=lots&solar=&forest=Infinity&ch4=%20&albedo=0.25&iceFeedback=yes&carbonCycle=1');
+    assert.deepEqual(state.params, { albedo: 0.25, iceFeedback: false, carbonCycle: true });
+    assert.equal(state.lang, undefined);
+    assert.equal(state.scenario, undefined);
+});
+
+test('saved experiments are listed newest first and replaced by name', (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now++);
+    const store = new ExperimentStore();
+    store.save('first', { params: { co2: 300 } });
+    store.save('second', { params: { co2: 400 } });
+    store.save('first', { params: { co2: 500 } });
+
+    assert.deepEqual(store.list().map(experiment => experiment.name), ['first', 'second']);
+    assert.equal(store.load('first').state.params.co2, 500);
+
+    store.remove('first');
+    assert.equal(store.load('first'), null);
+    assert.equal(store.list().length, 1);
+});
+
+test('unreadable storage lists no experiments', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    storage.set('climate-lab-experiments', '{not json');
+    assert.deepEqual(new ExperimentStore().list(), []);
+});
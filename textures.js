@@ -0,0 +1,346 @@
+/**
+ * Textures Module
+ * Procedural Earth textures for when the bundled images cannot be loaded:
+ * a land mask from coarse hand-drawn coastlines, coloured by latitude,
+ * with a matching ocean specular map and a cloud layer.
+ */
+
+// Coastlines as [lon, lat] outlines, a few dozen points per landmass.
+// Good enough to recognise the continents, not for any measurement.
+const LAND = [
+    // North America
+    [
+        [-168, 66], [-162, 70], [-156, 71.5], [-140, 70], [-128, 70], [-115, 68], [-95, 72], [-85, 70],
+        [-80, 63], [-94, 59], [-92, 57], [-82, 55], [-79, 52], [-77, 60], [-70, 62], [-64, 60], [-61, 56],
+        [-56, 52], [-59, 48], [-66, 45], [-70, 43], [-74, 40], [-76, 37], [-76, 35], [-81, 31], [-80, 26],
+        [-82, 27], [-84, 30], [-90, 30], [-94, 29.5], [-97, 27], [-97, 22], [-95, 19], [-91, 19], [-87, 21],
+        [-88, 16], [-83, 15], [-83, 10], [-79, 9], [-77, 8], [-80, 7.5], [-85, 10], [-87, 13], [-92, 14.5],
+        [-97, 16], [-105, 20], [-106, 23], [-109, 26], [-112, 29], [-114.5, 31.5], [-112, 27], [-110, 23.5],
+        [-112, 25], [-115, 28], [-117, 32.5], [-121, 35], [-124, 40], [-124, 46], [-125, 49], [-131, 54],
+        [-135, 58], [-140, 60], [-147, 61], [-153, 59], [-158, 57], [-164, 55], [-162, 58], [-165, 61],
+        [-165, 64]
+    ],
+    // Greenland
+    [
+        [-73, 78], [-60, 82], [-30, 83.5], [-12, 81], [-18, 75], [-22, 70], [-32, 68], [-40, 65], [-43, 60],
+        [-48, 61], [-52, 65], [-54, 70], [-58, 75], [-68, 76]
+    ],
+    // Baffin Island
+    [
+        [-80, 63.5], [-72, 63], [-64, 65], [-62, 67], [-68, 70], [-78, 72.5], [-90, 73.5], [-86, 70],
+        [-82, 69], [-84, 66.5]
+    ],
+    // Arctic Archipelago
+    [
+        [-125, 72], [-115, 76.5], [-95, 79], [-85, 82], [-62, 82.5], [-78, 78], [-82, 74.5], [-95, 74],
+        [-105, 73], [-117, 70.5]
+    ],
+    // Cuba
+    [
+        [-85, 21.8], [-82, 23.2], [-77, 22.3], [-74.2, 20.2], [-77.5, 19.9], [-81, 21.7]
+    ],
+    // Hispaniola
+    [
+        [-74.5, 18.4], [-72, 19.9], [-68.4, 18.6], [-68.7, 18.2], [-72, 18], [-74.4, 18.1]
+    ],
+    // South America
+    [
+        [-77, 8], [-72, 12], [-64, 10.5], [-60, 8.5], [-52, 5], [-50, 0], [-44, -2.5], [-35, -5], [-35, -9],
+        [-39, -15], [-41, -22], [-48, -26], [-53, -34], [-58, -38], [-62, -39], [-65, -42], [-66, -47],
+        [-68, -50], [-69, -53], [-68, -55], [-72, -53], [-75, -48], [-73, -40], [-71.5, -30], [-70, -18],
+        [-75, -15], [-80, -6], [-81, -3], [-80, 1], [-78, 3], [-77.5, 7]
+    ],
+    // Africa
+    [
+        [-17, 15], [-16.5, 21], [-13, 27], [-10, 30], [-9, 33], [-6, 35.8], [0, 35.8], [10, 37], [11, 33],
+        [20, 31], [25, 31.5], [32.5, 31], [34, 27], [37.5, 18], [43, 11.5], [51, 12], [51, 10], [47, 4],
+        [41, -2], [40, -10], [40.5, -15], [35, -24], [33, -28], [28, -33], [20, -35], [18, -32], [15, -27],
+        [12, -18], [13, -12], [12, -5], [9, -1], [9.5, 4], [6, 4.3], [1, 6], [-4, 5], [-8, 4.5], [-12, 7],
+        [-15, 11]
+    ],
+    // Madagascar
+    [
+        [44, -25], [47, -25], [50, -15], [49, -12], [44, -17]
+    ],
+    // Eurasia
+    [
+        [-9.5, 37], [-9, 43], [-2, 43.5], [-1, 46], [-4.5, 48], [-1.5, 49.5], [2, 51], [5, 53], [8, 54],
+        [8.5, 57], [10.5, 57.5], [10, 55], [12, 54], [14, 54], [20, 54.5], [21, 57], [24, 57.5], [24, 59.5],
+        [29, 60], [22, 60.5], [21, 63], [25, 65.5], [21.5, 65.5], [17, 62], [19, 60], [16, 56], [13, 55.5],
+        [11, 58], [5, 58.5], [5, 62], [13, 67], [19, 70], [26, 71], [31, 70], [40, 67], [34, 66], [38, 64.5],
+        [44, 66], [44, 68.5], [53, 68.5], [60, 69], [68, 69], [73, 72.5], [80, 73.5], [87, 75], [100, 77],
+        [105, 77.5], [112, 74], [127, 73], [140, 72.5], [150, 71.5], [160, 70], [170, 70], [180, 68.5],
+        [180, 65], [178, 64.5], [173, 61], [164, 59.8], [163, 56], [160, 53], [156.7, 51], [156, 57],
+        [160, 61.5], [155, 59.3], [143, 59.3], [138, 55], [141, 53], [140, 48], [135, 43.5], [130, 42],
+        [129, 35.5], [126.5, 34.5], [126, 37.5], [125, 40], [121, 40], [117.5, 39], [121, 37], [119, 35],
+        [121.5, 31], [122, 29], [119, 25], [114, 22], [108, 21.5], [106, 19], [109, 12], [105, 8.5],
+        [104.5, 10.5], [100, 13.5], [100, 10], [103, 5.5], [103.5, 1.3], [100.5, 3], [98, 8], [98.5, 13],
+        [97.5, 17], [94, 16], [94.5, 19], [92, 21.5], [90, 22], [87, 21.5], [86, 20], [80, 15.5], [80, 10],
+        [77.5, 8], [76, 10], [73, 16], [72.5, 21], [69, 22.5], [66.5, 25.5], [61, 25], [57, 25.7], [56, 27],
+        [52, 27.5], [50, 30], [48, 30], [50, 27], [51.5, 24.3], [56, 26.3], [57, 23.5], [59.5, 22.5], [57, 19],
+        [55, 17], [52, 16], [45, 13], [43.3, 12.7], [41, 18], [38.5, 23], [34.9, 29.5], [34.2, 31.3], [35, 33],
+        [36, 36.5], [32, 36.2], [28, 36.8], [26.5, 39], [26.3, 40.5], [29, 41.2], [32, 42], [36, 41.5],
+        [41.5, 41.5], [39.5, 44], [37, 45], [35, 44.8], [33, 45.5], [30, 46], [28.7, 44], [27.7, 42],
+        [23.5, 40], [22.5, 38], [21.5, 37], [20, 39.5], [19.5, 42], [16, 43.5], [13.5, 45.5], [12.3, 44.5],
+        [14, 42], [16, 40], [16.5, 38], [15.5, 38], [12, 42], [10, 44], [8, 44.3], [4, 43.5], [3, 42],
+        [0, 39.5], [-0.5, 38], [-2, 36.7], [-5.5, 36], [-7, 37.2]
+    ],
+    // Great Britain
+    [
+        [-5.5, 50], [1.5, 51], [1.7, 52.7], [0, 53.5], [-1.7, 55.7], [-2, 57.6], [-3.5, 58.6], [-5, 58.5],
+        [-6, 57], [-5, 55], [-3, 54.5], [-4.5, 53.3], [-4.5, 52], [-5.2, 51.7]
+    ],
+    // Ireland
+    [
+        [-10, 51.5], [-6, 52], [-6, 54], [-7.5, 55.3], [-10, 54.2]
+    ],
+    // Iceland
+    [
+        [-24, 65.5], [-22, 66.4], [-15, 66.5], [-13.5, 65], [-18, 63.4], [-22.7, 63.8]
+    ],
+    // Svalbard
+    [
+        [11, 78.5], [17, 80], [27, 80], [22, 77.5], [15, 76.8]
+    ],
+    // Japan
+    [
+        [130, 31], [132, 34], [135, 34], [140, 35], [141, 38], [142, 41], [140, 41.5], [139.5, 38],
+        [136.5, 37], [133, 35.5], [130, 33.5]
+    ],
+    // Hokkaido
+    [
+        [140, 42], [141.5, 45.5], [145.5, 43.5], [143, 42]
+    ],
+    // Sri Lanka
+    [
+        [80, 10], [82, 7], [81, 6], [79.8, 7.5]
+    ],
+    // Sumatra
+    [
+        [95.3, 5.6], [98, 4], [104, -1], [106, -5.9], [102, -4], [97.5, 2]
+    ],
+    // Java
+    [
+        [105, -6.8], [114.5, -7.7], [114, -8.7], [106, -7.4]
+    ],
+    // Borneo
+    [
+        [109, 1.5], [111, -3], [116, -4], [117.5, 1], [119, 5], [117, 7], [115, 5], [111, 2]
+    ],
+    // Sulawesi
+    [
+        [119, -5.5], [120.5, 0.5], [125, 1.5], [121, 0], [123, -4.5], [121, -5.5]
+    ],
+    // Philippines
+    [
+        [120, 18.5], [122.5, 18.4], [124, 12.5], [126.5, 7], [125.5, 6], [122, 7], [122.5, 13.5],
+        [120.5, 14.5]
+    ],
+    // New Guinea
+    [
+        [131, -1], [138, -1.5], [146, -5], [150.5, -10.5], [147, -10], [141, -9], [138, -8], [135, -4],
+        [132, -2.5]
+    ],
+    // Australia
+    [
+        [113, -22], [114, -26], [115, -34], [118, -35], [123.5, -34], [129, -31.5], [134, -32.5], [138, -35],
+        [140, -38], [146, -39], [150, -37.5], [153, -32], [153.5, -28], [153, -25], [150.5, -22.5], [146, -19],
+        [145.5, -15], [143.5, -14], [142.5, -10.7], [141.5, -13], [141.5, -16.8], [139, -17.5], [136, -15],
+        [137, -12], [132, -11.2], [130, -13], [127, -14], [122, -17], [119, -20], [116, -20.8]
+    ],
+    // Tasmania
+    [
+        [144.6, -40.7], [148.3, -40.9], [148, -43.2], [146, -43.6]
+    ],
+    // New Zealand North
+    [
+        [172.7, -34.4], [178.5, -37.7], [177, -39.6], [175, -41.6], [173.8, -39.2], [174.5, -36.8]
+    ],
+    // New Zealand South
+    [
+        [172.7, -40.5], [174.3, -41.7], [171, -44.5], [169, -46.6], [166.5, -46], [168, -44]
+    ],
+    // Antarctica
+    [
+        [180, -90], [180, -78], [170, -71.5], [160, -70], [140, -66.5], [120, -66], [100, -65.5], [80, -67],
+        [70, -68], [60, -67], [40, -69], [20, -70], [0, -70.5], [-20, -73], [-30, -77], [-45, -78], [-60, -74],
+        [-58, -64], [-63, -65.5], [-68, -70], [-75, -73], [-100, -74], [-120, -74], [-140, -76], [-160, -77.5],
+        [-180, -78], [-180, -90]
+    ]
+];
+
+// Inland seas, cut back out of the land
+const WATER = [
+    // Caspian Sea
+    [
+        [47, 45], [50, 47], [53, 47], [54, 41], [53, 37], [50, 37], [49, 40], [47.5, 42.5]
+    ]
+];
+
+// Land colour by latitude (degrees from the equator), blended between stops
+const BIOMES = [
+    { lat: 0, color: [38, 86, 38] }, // Rainforest
+    { lat: 12, color: [72, 104, 44] }, // Savanna
+    { lat: 22, color: [176, 152, 104] }, // Desert belt
+    { lat: 34, color: [150, 140, 92] },
+    { lat: 45, color: [72, 104, 52] }, // Temperate forest
+    { lat: 58, color: [58, 84, 56] }, // Boreal forest
+    { lat: 66, color: [110, 112, 92] }, // Tundra
+    { lat: 72, color: [232, 236, 240] } // Ice
+];
+
+const OCEAN_DEEP = [8, 30, 72];
+const OCEAN_SHALLOW = [20, 62, 112];
+
+/**
+ * Draws the procedural Earth as equirectangular canvases { color, specular, clouds }.
+ * The specular map is bright over the ocean, like the bundled one, so it also
+ * serves as the land mask of the globe overlay.
+ */
+export function drawProceduralEarth(width = 1024, height = 512) {
+    // 1. Land mask: ocean white, land black
+    const specular = createCanvas(width, height);
+    const ctx = specular.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = '#000000';
+    LAND.forEach(outline => fillOutline(ctx, outline, width, height));
+    ctx.fillStyle = '#ffffff';
+    WATER.forEach(outline => fillOutline(ctx, outline, width, height));
+    const mask = ctx.getImageData(0, 0, width, height).data;
+
+    // 2. Surface colour and cloud cover, pixel by pixel
+    const color = createCanvas(width, height);
+    const clouds = createCanvas(width, height);
+    const colorImage = color.getContext('2d').createImageData(width, height);
+    const cloudImage = clouds.getContext('2d').createImageData(width, height);
+
+    for (let y = 0; y < height; y++) {
+        const lat = 90 - ((y + 0.5) / height) * 180;
+        const cloudiness = cloudBand(lat);
+
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const u = (x / width) * 8;
+            const v = (y / height) * 4;
+            const detail = fbm(u, v, 8, 5);
+
+            // Land by latitude, with the borders between biomes roughened;
+            // Antarctica is ice all the way up to its coast
+            let rgb;
+            if (mask[i] < 128) {
+                const effective = lat < -60 ? 90 : Math.abs(lat) + (detail - 0.5) * 14;
+                const shade = 0.8 + 0.4 * fbm(u * 4, v * 4, 32, 3);
+                rgb = biomeColor(effective).map(c => c * shade);
+            } else {
+                rgb = mix(OCEAN_DEEP, OCEAN_SHALLOW, detail);
+            }
+            colorImage.data[i] = rgb[0];
+            colorImage.data[i + 1] = rgb[1];
+            colorImage.data[i + 2] = rgb[2];
+            colorImage.data[i + 3] = 255;
+
+            // Clouds: white, thicker where the noise and the latitude band agree
+            const cover = clamp((fbm(u * 3, v * 3 + 50, 24, 5) - 0.55) * 4 + cloudiness - 0.4, 0, 0.9);
+            cloudImage.data[i] = 255;
+            cloudImage.data[i + 1] = 255;
+            cloudImage.data[i + 2] = 255;
+            cloudImage.data[i + 3] = cover * 255;
+        }
+    }
+
+    color.getContext('2d').putImageData(colorImage, 0, 0);
+    clouds.getContext('2d').putImageData(cloudImage, 0, 0);
+    return { color, specular, clouds };
+}
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function fillOutline(ctx, outline, width, height) {
+    ctx.beginPath();
+    outline.forEach(([lon, lat], i) => {
+        const x = ((lon + 180) / 360) * width;
+        const y = ((90 - lat) / 180) * height;
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+    ctx.fill();
+}
+
+function biomeColor(lat) {
+    if (lat <= BIOMES[0].lat) return BIOMES[0].color;
+    for (let i = 1; i < BIOMES.length; i++) {
+        const upper = BIOMES[i];
+        if (lat <= upper.lat) {
+            const lower = BIOMES[i - 1];
+            return mix(lower.color, upper.color, (lat - lower.lat) / (upper.lat - lower.lat));
+        }
+    }
+    return BIOMES[BIOMES.length - 1].color;
+}
+
+// More cloud over the tropical rain belt and the mid-latitude storm tracks,
+// less over the subtropical highs
+function cloudBand(lat) {
+    const a = Math.abs(lat);
+    return 0.35
+        + 0.35 * Math.exp(-(((lat - 5) / 8) ** 2))
+        + 0.3 * Math.exp(-(((a - 55) / 10) ** 2))
+        - 0.2 * Math.exp(-(((a - 25) / 8) ** 2));
+}
+
+// Smooth value noise that repeats every `period` units in x,
+// so there is no seam where longitude 180 meets -180
+function fbm(x, y, period, octaves) {
+    let sum = 0;
+    let amplitude = 0.5;
+    let total = 0;
+    for (let i = 0; i < octaves; i++) {
+        sum += valueNoise(x, y, period) * amplitude;
+        total += amplitude;
+        x *= 2;
+        y *= 2;
+        period *= 2;
+        amplitude *= 0.5;
+    }
+    return sum / total;
+}
+
+function valueNoise(x, y, period) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const sx = smooth(x - x0);
+    const sy = smooth(y - y0);
+    const left = ((x0 % period) + period) % period;
+    const right = (left + 1) % period;
+
+    const a = hash(left, y0);
+    const b = hash(right, y0);
+    const c = hash(left, y0 + 1);
+    const d = hash(right, y0 + 1);
+    return a + (b - a) * sx + (c - a) * sy + (a - b - c + d) * sx * sy;
+}
+
+function hash(ix, iy) {
+    let h = Math.imul(ix, 374761393) + Math.imul(iy, 668265263);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967295;
+}
+
+function smooth(t) {
+    return t * t * (3 - 2 * t);
+}
+
+function mix(a, b, t) {
+    return a.map((value, i) => value + (b[i] - value) * t);
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}